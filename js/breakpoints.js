@@ -0,0 +1,75 @@
+/**
+ * Café Serenity - 画面幅の区分（ブレークポイント）
+ * matchMedia で画面幅を mobile / tablet / desktop に分け、切り替わったときに breakpointchange イベントを発行する
+ *
+ * レイアウトの切り替えは css/critical.css の md: / lg: のメディアクエリで行い、ここではスタイルを変更しない
+ * 幅を変えるとメニューを閉じる（MobileMenu）・アニメーションの位置を計算し直す（AOS）など、JSの処理だけをイベントで切り替える
+ */
+
+(function (root) {
+    'use strict';
+
+    const Breakpoints = {
+        // 各区分の最小幅（px）。css/critical.css の md:（768px）・lg:（1024px）と揃える
+        TIERS: [
+            ['desktop', 1024],
+            ['tablet', 768],
+            ['mobile', 0]
+        ],
+
+        current: 'mobile',
+
+        init() {
+            this.current = this.resolve();
+
+            // 区分の境目を越えたときだけ通知される（resize のように幅が変わるたびには呼ばれない）
+            this.TIERS.filter(([, minWidth]) => minWidth > 0).forEach(([, minWidth]) => {
+                const media = root.matchMedia(this.getQuery(minWidth));
+                const listener = () => this.apply();
+                if (media.addEventListener) {
+                    media.addEventListener('change', listener);
+                } else {
+                    media.addListener(listener);
+                }
+            });
+        },
+
+        getQuery(minWidth) {
+            return `(min-width: ${minWidth}px)`;
+        },
+
+        /**
+         * 現在の画面幅の区分
+         * @returns {string} 'mobile' | 'tablet' | 'desktop'
+         */
+        resolve() {
+            const match = this.TIERS.find(([, minWidth]) => minWidth === 0 || root.matchMedia(this.getQuery(minWidth)).matches);
+            return match[0];
+        },
+
+        /**
+         * 指定した区分以上の幅か
+         * @param {string} tier - 'mobile' | 'tablet' | 'desktop'
+         * @returns {boolean} 例: isAtLeast('tablet') はタブレットとデスクトップで true
+         */
+        isAtLeast(tier) {
+            const names = this.TIERS.map(([name]) => name);
+            return names.indexOf(this.current) <= names.indexOf(tier);
+        },
+
+        // 区分を判定し、変わった場合は breakpointchange イベントを発行する
+        apply() {
+            const previous = this.current;
+            this.current = this.resolve();
+
+            if (this.current !== previous) {
+                root.document.dispatchEvent(new CustomEvent('breakpointchange', {
+                    detail: { tier: this.current, previous }
+                }));
+            }
+        }
+    };
+
+    root.Breakpoints = Breakpoints;
+    Breakpoints.init();
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,87 @@
+/**
+ * Café Serenity - 店舗情報
+ * 住所・連絡先・営業時間の唯一の定義
+ * （ページ、Service Worker、Nodeのビルドスクリプト・リファレンスサーバーで共有）
+ *
+ * 変更後は `node scripts/build-business-info.js` で index.html の
+ * 構造化データ・Info・Contact Information・フッターを再生成してください。
+ */
+
+(function (root) {
+    'use strict';
+
+    const BusinessProfile = {
+        name: 'Café Serenity',
+        description: '静寂と安らぎを提供するカフェ。厳選されたスペシャルティコーヒーと手作りスイーツをお楽しみいただけます。',
+        url: 'https://cafe-serenity.com/',
+        image: 'https://cafe-serenity.com/images/hero/hero-main.png',
+        priceRange: '¥¥',
+        servesCuisine: 'Coffee shop',
+        acceptsReservations: true,
+
+        telephone: {
+            display: '03-1234-5678',
+            international: '+81-3-1234-5678'
+        },
+        email: 'info@cafe-serenity.com',
+
+        address: {
+            postalCode: '150-0002',
+            region: '東京都',
+            locality: '渋谷区',
+            street: '◯◯◯ 1-2-3',
+            country: 'JP'
+        },
+
+        // 表示言語ごとの文言は {ja, en} で指定（js/i18n.js）
+        access: [
+            { ja: '渋谷駅から徒歩10分', en: '10 min walk from Shibuya Station' },
+            { ja: '原宿駅から徒歩15分', en: '15 min walk from Harajuku Station' },
+            { ja: '近隣にコインパーキングあり', en: 'Coin parking available nearby' }
+        ],
+
+        hours: {
+            // 営業時間の基準となるタイムゾーン
+            timezone: 'Asia/Tokyo',
+
+            // 閉店の何分前まで予約を受け付けるか
+            lastReservationMinutes: 60,
+
+            // 曜日ごとの営業時間（0: 日曜日 〜 6: 土曜日、null は定休日）
+            weekly: [
+                { opens: '09:00', closes: '19:00' },
+                { opens: '08:00', closes: '20:00' },
+                { opens: '08:00', closes: '20:00' },
+                null,
+                { opens: '08:00', closes: '20:00' },
+                { opens: '08:00', closes: '20:00' },
+                { opens: '09:00', closes: '21:00' }
+            ],
+
+            // 祝日の営業時間（定休日と重なる祝日は休業）
+            // 祝日は js/opening-hours.js で「国民の祝日に関する法律」の規定から求める
+            holiday: { opens: '09:00', closes: '19:00' },
+
+            // 臨時営業・臨時休業（曜日・祝日の営業時間より優先、hours が null なら休業）
+            exceptions: [
+                { from: '2026-12-28', to: '2026-12-28', hours: { opens: '08:00', closes: '17:00' }, note: { ja: '年末短縮営業', en: 'Shorter hours before New Year' } },
+                { from: '2026-12-29', to: '2027-01-03', hours: null, note: { ja: '年末年始休業', en: 'Closed for the New Year holidays' } }
+            ]
+        },
+
+        /**
+         * 表示用の住所（都道府県から）
+         * @returns {string} 例: 東京都渋谷区◯◯◯ 1-2-3
+         */
+        getFullAddress() {
+            const { region, locality, street } = this.address;
+            return `${region}${locality}${street}`;
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BusinessProfile;
+    } else {
+        root.BusinessProfile = BusinessProfile;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,164 @@
+/**
+ * Café Serenity - カレンダーファイル（iCalendar / RFC 5545）
+ * 予約の確認画面から、来店予定をカレンダーに追加するための .ics ファイルを作成する
+ *
+ * 日時はUTC（末尾の Z）で書き出す（TZID を使う場合に必要な VTIMEZONE を含めなくてよいように）
+ */
+
+(function (root) {
+    'use strict';
+
+    const CalendarFile = {
+        MIME_TYPE: 'text/calendar;charset=utf-8',
+
+        PRODUCT_ID: '-//Cafe Serenity//Reservation//JA',
+
+        // 1行の最大の長さ（オクテット数、改行を除く）
+        LINE_LENGTH: 75,
+
+        /**
+         * テキストの値をエスケープする（\ ; , 改行）
+         * @param {string} value - 値
+         * @returns {string}
+         */
+        escapeText(value) {
+            return String(value)
+                .replace(/\\/g, '\\\\')
+                .replace(/;/g, '\\;')
+                .replace(/,/g, '\\,')
+                .replace(/\r?\n/g, '\\n');
+        },
+
+        /**
+         * 長い行を折り返す（続きの行は空白で始める。マルチバイト文字の途中では折り返さない）
+         * @param {string} line - 行
+         * @returns {string}
+         */
+        foldLine(line) {
+            const encoder = new TextEncoder();
+            const lines = [];
+            let current = '';
+            let length = 0;
+
+            for (const char of line) {
+                const size = encoder.encode(char).length;
+                // 続きの行は先頭の空白の分だけ短くする
+                const limit = lines.length ? this.LINE_LENGTH - 1 : this.LINE_LENGTH;
+                if (length + size > limit) {
+                    lines.push(current);
+                    current = '';
+                    length = 0;
+                }
+                current += char;
+                length += size;
+            }
+            lines.push(current);
+
+            return lines.join('\r\n ');
+        },
+
+        /**
+         * UTCの日時の値
+         * @param {Date} date - 日時
+         * @returns {string} 例: 20261020T030000Z
+         */
+        formatDateTime(date) {
+            return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        },
+
+        /**
+         * タイムゾーンでの日時をUTCの日時に変換する
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @param {string} time - HH:MM 形式の時刻
+         * @param {string} timeZone - タイムゾーン（例: Asia/Tokyo）
+         * @returns {Date}
+         */
+        toDate(date, time, timeZone) {
+            const [year, month, day] = date.split('-').map(Number);
+            const [hour, minute] = time.split(':').map(Number);
+            const local = Date.UTC(year, month - 1, day, hour, minute);
+
+            // 求めた日時でのオフセットで計算し直す（夏時間の切り替え前後でずれないように）
+            const offset = this.getOffset(new Date(local), timeZone);
+            return new Date(local - this.getOffset(new Date(local - offset), timeZone));
+        },
+
+        /**
+         * タイムゾーンのUTCからのずれ
+         * @param {Date} date - 日時
+         * @param {string} timeZone - タイムゾーン
+         * @returns {number} ミリ秒（東京は +9時間）
+         */
+        getOffset(date, timeZone) {
+            const parts = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                hourCycle: 'h23'
+            }).formatToParts(date).reduce((result, part) => {
+                result[part.type] = Number(part.value);
+                return result;
+            }, {});
+
+            const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+            return local - Math.floor(date.getTime() / 60000) * 60000;
+        },
+
+        /**
+         * 予定を1件含むカレンダーファイルを作成する
+         * @param {Object} event
+         * @param {string} event.uid - 予定の一意なID
+         * @param {Date} event.start - 開始日時
+         * @param {Date} event.end - 終了日時
+         * @param {string} event.summary - 件名
+         * @param {string} [event.description] - 説明
+         * @param {string} [event.location] - 場所
+         * @param {string} [event.url] - 関連するページのURL
+         * @param {{minutes: number, description: string}} [event.alarm] - 開始の何分前に通知するか
+         * @param {Date} [event.now] - 作成日時
+         * @returns {string} ファイルの内容（改行は CRLF）
+         */
+        createEvent({ uid, start, end, summary, description, location, url, alarm, now = new Date() }) {
+            const lines = [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                `PRODID:${this.PRODUCT_ID}`,
+                'CALSCALE:GREGORIAN',
+                'METHOD:PUBLISH',
+                'BEGIN:VEVENT',
+                `UID:${uid}`,
+                `DTSTAMP:${this.formatDateTime(now)}`,
+                `DTSTART:${this.formatDateTime(start)}`,
+                `DTEND:${this.formatDateTime(end)}`,
+                `SUMMARY:${this.escapeText(summary)}`
+            ];
+
+            if (description) lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+            if (location) lines.push(`LOCATION:${this.escapeText(location)}`);
+            if (url) lines.push(`URL:${url}`);
+
+            if (alarm) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${this.escapeText(alarm.description)}`,
+                    `TRIGGER:-PT${alarm.minutes}M`,
+                    'END:VALARM'
+                );
+            }
+
+            lines.push('END:VEVENT', 'END:VCALENDAR');
+
+            return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CalendarFile;
+    } else {
+        root.CalendarFile = CalendarFile;
+    }
+})(typeof self !== 'undefined' ? self : this);
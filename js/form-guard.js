@@ -0,0 +1,157 @@
+/**
+ * Café Serenity - フォームのスパム対策
+ * プルーフオブワーク（サーバーが発行したトークンに対し、ハッシュの先頭が指定ビット数だけ0になる値を探す）と
+ * ハニーポット・入力時間の定義（ページ・Service Worker・Nodeのリファレンスサーバーで共有）
+ *
+ * 送信データに追加するフィールド
+ *   token         サーバーが発行したトークン（GET /api/form-challenge）
+ *   proof         プルーフオブワークの解
+ *   fillTime      入力を始めてから送信するまでの時間（ミリ秒）
+ *   interactions  フォームでのキー入力・ポインター操作の回数
+ */
+
+(function (root) {
+    'use strict';
+
+    const FormGuard = {
+        CHALLENGE_URL: '/api/form-challenge',
+
+        // 人には見えない入力欄の name（入力があれば自動送信とみなす）
+        HONEYPOT_FIELD: 'website',
+
+        // これより短い時間で入力を終えた送信は受け付けない（ミリ秒）
+        MIN_FILL_TIME: 3000,
+
+        // トークンの有効期間（ミリ秒）。オフラインで保存した送信の再送に備えて長めにする
+        TOKEN_TTL: 24 * 60 * 60 * 1000,
+
+        // トークンの取得を待つ時間（ミリ秒）。応答がないまま送信を止めないように
+        CHALLENGE_TIMEOUT: 10000,
+
+        /**
+         * トークンの内容（署名は検証しない）
+         * @param {string} token - トークン
+         * @returns {{nonce: string, issuedAt: number, difficulty: number}|null}
+         */
+        decodeToken(token) {
+            try {
+                const payload = String(token).split('.')[0].replace(/-/g, '+').replace(/_/g, '/');
+                const json = typeof Buffer !== 'undefined'
+                    ? Buffer.from(payload, 'base64').toString('utf8')
+                    : root.atob(payload);
+                const { n, t, d } = JSON.parse(json);
+                return { nonce: n, issuedAt: t, difficulty: d };
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * トークンが有効期間を過ぎているか
+         * @param {string} token - トークン
+         * @param {number} [now] - 現在時刻（ミリ秒）
+         * @returns {boolean}
+         */
+        isExpired(token, now = Date.now()) {
+            const payload = this.decodeToken(token);
+            return !payload || now - payload.issuedAt > this.TOKEN_TTL;
+        },
+
+        /**
+         * ハッシュの先頭から続く0のビット数
+         * @param {Uint8Array} bytes - ハッシュ
+         * @returns {number}
+         */
+        leadingZeroBits(bytes) {
+            let bits = 0;
+            for (const byte of bytes) {
+                if (byte === 0) {
+                    bits += 8;
+                    continue;
+                }
+                return bits + Math.clz32(byte) - 24;
+            }
+            return bits;
+        },
+
+        /**
+         * プルーフオブワークの対象となる文字列
+         * @param {string} token - トークン
+         * @param {string} proof - 解の候補
+         * @returns {string}
+         */
+        challengeText(token, proof) {
+            return `${token}:${proof}`;
+        },
+
+        /**
+         * プルーフオブワークを解く（ブラウザ・Service Worker の Web Crypto を使用）
+         * @param {string} token - トークン
+         * @returns {Promise<string>} 解
+         */
+        async solve(token) {
+            const { difficulty } = this.decodeToken(token) || {};
+            if (!difficulty) throw new Error('Invalid challenge token');
+
+            const encoder = new TextEncoder();
+            for (let counter = 0; ; counter++) {
+                const proof = counter.toString(36);
+                const hash = await root.crypto.subtle.digest('SHA-256', encoder.encode(this.challengeText(token, proof)));
+                if (this.leadingZeroBits(new Uint8Array(hash)) >= difficulty) {
+                    return proof;
+                }
+            }
+        },
+
+        /**
+         * トークンを取得してプルーフオブワークを解く
+         * @returns {Promise<{token: string, proof: string}>}
+         * @throws {Error} トークンを取得できない場合（接続できない・CHALLENGE_TIMEOUT までに応答がない場合は isNetworkError が true）
+         */
+        async createProof() {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), this.CHALLENGE_TIMEOUT);
+            let token;
+
+            try {
+                const response = await root.fetch(this.CHALLENGE_URL, {
+                    headers: { 'Accept': 'application/json' },
+                    cache: 'no-store',
+                    signal: controller.signal
+                });
+                if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+
+                ({ token } = await response.json());
+            } catch (error) {
+                if (error.status || error.name === 'SyntaxError') throw error;
+                throw Object.assign(new Error('Challenge request failed'), { isNetworkError: true });
+            } finally {
+                clearTimeout(timer);
+            }
+
+            return { token, proof: await this.solve(token) };
+        },
+
+        /**
+         * 送信データにトークンと解が付いていなければ（期限切れであれば）付け直す
+         * オフラインで保存した送信を再送するときに使用。取得できなければそのまま返す
+         * @param {Object} data - 送信データ
+         * @returns {Promise<Object>}
+         */
+        async protect(data) {
+            if (data.token && data.proof && !this.isExpired(data.token)) return data;
+
+            try {
+                return { ...data, ...await this.createProof() };
+            } catch (error) {
+                return data;
+            }
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FormGuard;
+    } else {
+        root.FormGuard = FormGuard;
+    }
+})(typeof self !== 'undefined' ? self : this);
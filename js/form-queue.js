@@ -0,0 +1,217 @@
+/**
+ * Café Serenity - フォーム送信キュー
+ * オフライン時の送信内容をIndexedDBに保存し、接続回復後に再送する
+ * （ページとService Workerの両方から読み込んで使用）
+ */
+
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'cafe-serenity';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'pending-forms';
+
+    /**
+     * データベースを開く
+     * @returns {Promise<IDBDatabase>}
+     */
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    db.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * ストアに対して1回の操作を実行する
+     * @param {IDBTransactionMode} mode - トランザクションモード
+     * @param {Function} operation - ストアを受け取りIDBRequestを返す関数
+     * @returns {Promise<*>} リクエストの結果
+     */
+    async function withStore(mode, operation) {
+        const db = await openDatabase();
+
+        try {
+            return await new Promise((resolve, reject) => {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = operation(transaction.objectStore(STORE_NAME));
+
+                transaction.oncomplete = () => resolve(request.result);
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    const FormQueue = {
+        // Background Sync のタグ（sw.js の sync イベントと対応）
+        SYNC_TAG: 'sync-forms',
+
+        // 再送中の印の有効期間（ミリ秒）。再送中にページや Service Worker が終了した場合は、過ぎたら再送し直す
+        CLAIM_TIMEOUT: 2 * 60 * 1000,
+
+        isSupported() {
+            return typeof indexedDB !== 'undefined';
+        },
+
+        /**
+         * 送信内容をキューに追加
+         * @param {string} endpoint - 送信先URL
+         * @param {Object} data - 送信データ
+         * @returns {Promise<number>} 追加したエントリのID
+         */
+        add(endpoint, data) {
+            return withStore('readwrite', store => store.add({
+                endpoint,
+                data,
+                queuedAt: new Date().toISOString()
+            }));
+        },
+
+        /**
+         * キュー内のすべてのエントリを取得（サーバーに拒否されたものを含む）
+         * @returns {Promise<Array<Object>>}
+         */
+        getAll() {
+            return withStore('readonly', store => store.getAll());
+        },
+
+        /**
+         * サーバーに拒否されたエントリを取得（ページで利用者に知らせ、入力内容を戻せるようにする）
+         * @returns {Promise<Array<Object>>} rejectedAt・status・message を持つエントリ
+         */
+        async getRejected() {
+            return (await this.getAll()).filter(entry => entry.rejectedAt);
+        },
+
+        /**
+         * エントリをサーバーに拒否されたものとして残す（再送の対象から外す）
+         * @param {Object} entry - エントリ
+         * @param {{status: number, message: string}} reason - サーバーのステータスとメッセージ
+         * @returns {Promise<void>}
+         */
+        markRejected(entry, { status, message }) {
+            const { claimedAt, ...rest } = entry;
+            return withStore('readwrite', store => store.put({
+                ...rest,
+                rejectedAt: new Date().toISOString(),
+                status,
+                message
+            }));
+        },
+
+        /**
+         * エントリに再送中の印を付ける（確認と書き込みを1つのトランザクションで行う）
+         * 複数のタブ・Service Worker が同時に再送しても、同じエントリを送るのは印を付けられた1か所だけになる
+         * @param {number} id - エントリのID
+         * @param {number} [now] - 現在時刻（ミリ秒）
+         * @returns {Promise<Object|null>} 印を付けたエントリ（削除済み・拒否済み・他で再送中の場合は null）
+         */
+        async claim(id, now = Date.now()) {
+            let claimed = null;
+
+            await withStore('readwrite', store => {
+                const request = store.get(id);
+                request.onsuccess = () => {
+                    const entry = request.result;
+                    if (!entry || entry.rejectedAt) return;
+                    if (entry.claimedAt && now - entry.claimedAt < this.CLAIM_TIMEOUT) return;
+
+                    claimed = { ...entry, claimedAt: now };
+                    store.put(claimed);
+                };
+                return request;
+            });
+
+            return claimed;
+        },
+
+        /**
+         * 再送中の印を外し、次の再送の対象に戻す
+         * @param {Object} entry - claim で印を付けたエントリ
+         * @returns {Promise<void>}
+         */
+        release(entry) {
+            const { claimedAt, ...rest } = entry;
+            return withStore('readwrite', store => store.put(rest));
+        },
+
+        /**
+         * エントリを削除
+         * @param {number} id - エントリのID
+         * @returns {Promise<void>}
+         */
+        remove(id) {
+            return withStore('readwrite', store => store.delete(id));
+        },
+
+        /**
+         * キュー内のエントリを古い順に再送する
+         * 成功したものは削除し、サーバーに拒否されたもの（4xx）は利用者が確認するまで残す（getRejected）
+         * ネットワークエラーや5xx・回数制限（429）の場合は残りを次回に持ち越す
+         * 送る前に再送中の印を付け（claim）、他のタブ・Service Worker が再送中のものは持ち越す
+         * スパム対策のトークンがない・期限切れの送信は、取得し直してから送る（js/form-guard.js）
+         * @returns {Promise<{sent: number, rejected: number, pending: number}>} 処理結果
+         */
+        async flush() {
+            const entries = (await this.getAll()).filter(entry => !entry.rejectedAt);
+            const result = { sent: 0, rejected: 0, pending: 0 };
+
+            for (let i = 0; i < entries.length; i++) {
+                const entry = await this.claim(entries[i].id);
+                if (!entry) {
+                    // 他で再送中のものは持ち越す（その間に送信済み・拒否済みになったものは数えない）
+                    const current = await withStore('readonly', store => store.get(entries[i].id));
+                    if (current && !current.rejectedAt) result.pending++;
+                    continue;
+                }
+
+                let response;
+
+                try {
+                    const data = root.FormGuard ? await root.FormGuard.protect(entry.data) : entry.data;
+                    response = await fetch(entry.endpoint, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            'Accept': 'application/json'
+                        },
+                        body: JSON.stringify(data)
+                    });
+                } catch (error) {
+                    response = null;
+                }
+
+                if (!response || response.status >= 500 || response.status === 429) {
+                    await this.release(entry);
+                    result.pending += entries.length - i;
+                    break;
+                }
+
+                if (response.ok) {
+                    await this.remove(entry.id);
+                    result.sent++;
+                } else {
+                    // サーバーのメッセージは送信者の表示言語で返される
+                    const body = await response.json().catch(() => ({}));
+                    await this.markRejected(entry, { status: response.status, message: body.message || '' });
+                    result.rejected++;
+                }
+            }
+
+            return result;
+        }
+    };
+
+    root.FormQueue = FormQueue;
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,278 @@
+/**
+ * Café Serenity - ギャラリー
+ * ギャラリー画像のライトボックス表示（キーボード・スワイプ操作、#gallery/<slug> のURL共有）
+ */
+
+// ギャラリーのライトボックス
+class Gallery {
+    constructor() {
+        this.lightbox = document.getElementById('lightbox');
+        this.image = document.getElementById('lightbox-image');
+        this.sources = this.lightbox ? [...this.lightbox.querySelectorAll('source')] : [];
+        this.title = document.getElementById('lightbox-title');
+        this.description = document.getElementById('lightbox-description');
+        this.counter = document.getElementById('lightbox-counter');
+        this.items = [...document.querySelectorAll('#gallery .group')]
+            .map(tile => Gallery.createItem(tile))
+            .filter(Boolean);
+
+        // 表示中の画像（-1 は閉じている状態）
+        this.currentIndex = -1;
+        this.opener = null;
+        this.touchStart = null;
+
+        this.init();
+    }
+
+    get isOpen() {
+        return this.currentIndex !== -1;
+    }
+
+    init() {
+        if (!this.lightbox || !this.items.length) return;
+
+        this.items.forEach((item, index) => {
+            item.tile.setAttribute('aria-haspopup', 'dialog');
+            item.tile.addEventListener('click', () => this.open(index));
+            item.tile.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.open(index);
+                }
+            });
+        });
+
+        this.lightbox.querySelector('[data-lightbox="close"]').addEventListener('click', () => this.close());
+        this.lightbox.querySelector('[data-lightbox="prev"]').addEventListener('click', () => this.show(this.currentIndex - 1));
+        this.lightbox.querySelector('[data-lightbox="next"]').addEventListener('click', () => this.show(this.currentIndex + 1));
+
+        // 画像の外側（背景）クリックで閉じる
+        this.lightbox.addEventListener('click', (e) => {
+            if (e.target === this.lightbox) {
+                this.close();
+            }
+        });
+
+        this.lightbox.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.initSwipe();
+
+        // 表示言語の切り替えで翻訳されたタイトル・説明を反映
+        document.addEventListener('localechange', () => this.refreshText());
+
+        // 共有されたURLの画像を表示
+        window.addEventListener('hashchange', () => this.restoreFromHash());
+        if (window.location.hash.startsWith('#gallery/')) {
+            Utils.smoothScroll('#gallery');
+            this.restoreFromHash();
+        }
+    }
+
+    initSwipe() {
+        this.lightbox.addEventListener('touchstart', (e) => {
+            const touch = e.changedTouches[0];
+            this.touchStart = { x: touch.clientX, y: touch.clientY };
+        }, { passive: true });
+
+        this.lightbox.addEventListener('touchend', (e) => {
+            if (!this.touchStart) return;
+
+            const touch = e.changedTouches[0];
+            const deltaX = touch.clientX - this.touchStart.x;
+            const deltaY = touch.clientY - this.touchStart.y;
+            this.touchStart = null;
+
+            // 縦方向のスクロールや短いタップは無視
+            if (Math.abs(deltaX) < CONFIG.SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY)) return;
+
+            this.show(deltaX < 0 ? this.currentIndex + 1 : this.currentIndex - 1);
+        }, { passive: true });
+    }
+
+    /**
+     * ライトボックス内のキー操作
+     * @param {KeyboardEvent} e - キーボードイベント
+     */
+    handleKeydown(e) {
+        switch (e.key) {
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                this.show(this.currentIndex - 1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                this.show(this.currentIndex + 1);
+                break;
+            case 'Tab':
+                this.trapFocus(e);
+                break;
+        }
+    }
+
+    /**
+     * フォーカスをライトボックス内に留める
+     * @param {KeyboardEvent} e - Tabキーのイベント
+     */
+    trapFocus(e) {
+        const buttons = [...this.lightbox.querySelectorAll('button')];
+        const first = buttons[0];
+        const last = buttons[buttons.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            last.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            first.focus();
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * ライトボックスを開く
+     * @param {number} index - 表示する画像の番号
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash] - URLハッシュに画像を反映するか
+     */
+    open(index, { updateHash = true } = {}) {
+        if (!this.isOpen) {
+            // 閉じたときにフォーカスを戻すタイル
+            this.opener = this.items[index].tile;
+            this.lightbox.classList.remove('hidden');
+            this.lightbox.setAttribute('aria-hidden', 'false');
+            document.body.classList.add('overflow-hidden');
+        }
+
+        this.show(index, { updateHash });
+
+        if (!this.lightbox.contains(document.activeElement)) {
+            this.lightbox.querySelector('[data-lightbox="close"]').focus();
+        }
+    }
+
+    /**
+     * 画像を切り替える（最初と最後はループ）
+     * @param {number} index - 表示する画像の番号
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash] - URLハッシュに画像を反映するか
+     */
+    show(index, { updateHash = true } = {}) {
+        const total = this.items.length;
+        this.currentIndex = (index + total) % total;
+
+        const item = this.items[this.currentIndex];
+
+        // 対応形式（AVIF/WebP）のリサイズ画像を優先し、なければ元画像
+        this.sources.forEach(source => {
+            const match = item.sources.find(itemSource => itemSource.type === source.type);
+            if (match) {
+                source.srcset = match.srcset;
+            } else {
+                source.removeAttribute('srcset');
+            }
+        });
+        this.image.src = item.src;
+        this.image.alt = item.alt;
+        this.title.textContent = item.title;
+        this.description.textContent = item.alt;
+        this.counter.textContent = `${this.currentIndex + 1} / ${total}`;
+
+        if (updateHash) {
+            history.replaceState(history.state, '', `#gallery/${item.slug}`);
+        }
+    }
+
+    refreshText() {
+        this.items.forEach(item => {
+            Object.assign(item, Gallery.getText(item.tile));
+        });
+
+        if (this.isOpen) {
+            this.show(this.currentIndex, { updateHash: false });
+        }
+    }
+
+    /**
+     * ライトボックスを閉じる
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash] - URLハッシュを #gallery に戻すか
+     */
+    close({ updateHash = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.lightbox.classList.add('hidden');
+        this.lightbox.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('overflow-hidden');
+        this.currentIndex = -1;
+
+        if (updateHash) {
+            history.replaceState(history.state, '', '#gallery');
+        }
+
+        if (this.opener) {
+            this.opener.focus();
+            this.opener = null;
+        }
+    }
+
+    /**
+     * URLハッシュ（#gallery/<slug>）に合わせてライトボックスを開閉
+     * @returns {boolean} 画像を表示したか
+     */
+    restoreFromHash() {
+        const slug = window.location.hash.startsWith('#gallery/')
+            ? window.location.hash.slice('#gallery/'.length)
+            : null;
+        const index = this.items.findIndex(item => item.slug === slug);
+
+        if (index === -1) {
+            this.close({ updateHash: false });
+            return false;
+        }
+
+        this.open(index, { updateHash: false });
+        return true;
+    }
+
+    /**
+     * タイルから表示用の情報を取得
+     * スラッグは data-slug 属性、なければ元画像のファイル名（拡張子なし）
+     * @param {HTMLElement} tile - ギャラリーのタイル
+     * @returns {{tile: HTMLElement, src: string, sources: Array<{type: string, srcset: string}>, alt: string, title: string, slug: string}|null}
+     */
+    static createItem(tile) {
+        const img = tile.querySelector('img');
+        if (!img) return null;
+
+        // 遅延読み込み前はプレースホルダーが src に入っているため data-src を優先
+        const src = img.dataset.src || img.getAttribute('src');
+
+        return {
+            tile,
+            src,
+            sources: [...tile.querySelectorAll('source')].map(source => ({
+                type: source.type,
+                srcset: source.dataset.srcset || source.getAttribute('srcset')
+            })),
+            ...Gallery.getText(tile),
+            slug: tile.dataset.slug || src.split('/').pop().replace(/\.[^.]+$/, '')
+        };
+    }
+
+    /**
+     * タイルの画像の説明とタイトルを取得
+     * @param {HTMLElement} tile - ギャラリーのタイル
+     * @returns {{alt: string, title: string}}
+     */
+    static getText(tile) {
+        const img = tile.querySelector('img');
+        const heading = tile.querySelector('h4');
+
+        return {
+            alt: img.alt,
+            title: heading ? heading.textContent.trim() : img.alt
+        };
+    }
+}
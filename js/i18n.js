@@ -0,0 +1,207 @@
+/**
+ * Café Serenity - 多言語対応
+ * メッセージカタログ（js/locales/*.js）からの翻訳と表示言語の切り替え
+ * （ページ、オフライン・404ページ、Nodeのリファレンスサーバーで共有）
+ *
+ * HTMLでは次の属性で翻訳対象を指定する
+ *   data-i18n="key"                     テキストを置き換える
+ *   data-i18n-html="key"                HTMLとして置き換える（<br> を含む文言用）
+ *   data-i18n-attr="属性:key; 属性:key"  属性値を置き換える
+ *   data-i18n-ja / data-i18n-en         要素に直接書いた翻訳（店舗情報など生成される箇所用）
+ */
+
+(function (root) {
+    'use strict';
+
+    // 選択した言語の保存（js/local-store.js）
+    const LocalStore = typeof module !== 'undefined' && module.exports
+        ? require('./local-store')
+        : root.LocalStore;
+
+    const I18n = {
+        LOCALES: ['ja', 'en'],
+        DEFAULT_LOCALE: 'ja',
+
+        // 対応していない言語のブラウザで表示する言語
+        FALLBACK_LOCALE: 'en',
+
+        // Intl に渡すロケール
+        LOCALE_TAGS: { ja: 'ja-JP', en: 'en-US' },
+
+        STORAGE_KEY: 'cafe-serenity-locale',
+
+        locale: 'ja',
+        messages: {},
+
+        /**
+         * メッセージカタログを登録
+         * @param {string} locale - 言語
+         * @param {Object} messages - メッセージ（入れ子のオブジェクト）
+         */
+        addMessages(locale, messages) {
+            this.messages[locale] = messages;
+        },
+
+        isSupported(locale) {
+            return this.LOCALES.includes(locale);
+        },
+
+        /**
+         * メッセージを取得（見つからなければ既定の言語、それもなければキーを返す）
+         * @param {string} key - ドット区切りのキー（例: form.errors.required）
+         * @param {Object} [params] - 埋め込む値（メッセージ中の {name} を置き換える）
+         * @param {string} [locale] - 言語（省略時は現在の表示言語）
+         * @returns {string}
+         */
+        t(key, params = {}, locale = this.locale) {
+            const message = lookup(this.messages[locale], key)
+                ?? lookup(this.messages[this.DEFAULT_LOCALE], key)
+                ?? key;
+
+            return String(message).replace(/\{(\w+)\}/g, (match, name) => (
+                params[name] !== undefined ? params[name] : match
+            ));
+        },
+
+        /**
+         * 言語ごとの値（{ja: ..., en: ...}）から現在の言語の値を取り出す
+         * 文字列などはそのまま返す
+         * @param {*} value - 言語ごとの値
+         * @param {string} [locale] - 言語（省略時は現在の表示言語）
+         * @returns {*}
+         */
+        pick(value, locale = this.locale) {
+            if (!value || typeof value !== 'object') return value;
+            return value[locale] ?? value[this.DEFAULT_LOCALE];
+        },
+
+        /**
+         * Intl 用のロケールを取得
+         * @returns {string} 例: ja-JP
+         */
+        getLocaleTag(locale = this.locale) {
+            return this.LOCALE_TAGS[locale] || this.LOCALE_TAGS[this.DEFAULT_LOCALE];
+        },
+
+        /**
+         * 日付（時刻を含まない）を表示言語で整形
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @param {Object} options - Intl.DateTimeFormat のオプション（timeZone は指定しない）
+         * @param {string} [locale] - 言語
+         * @returns {string}
+         */
+        formatDate(date, options, locale = this.locale) {
+            const [year, month, day] = date.split('-').map(Number);
+
+            // 日付のみを扱うためUTCとして整形（閲覧者のタイムゾーンで日付がずれないように）
+            return new Intl.DateTimeFormat(this.getLocaleTag(locale), {
+                ...options,
+                timeZone: 'UTC'
+            }).format(new Date(Date.UTC(year, month - 1, day)));
+        },
+
+        /**
+         * 表示言語を判定（URLの ?lang= → 保存された選択 → ブラウザの言語設定）
+         * @returns {string}
+         */
+        detect() {
+            const fromUrl = new URLSearchParams(root.location.search).get('lang');
+            if (this.isSupported(fromUrl)) return fromUrl;
+
+            const stored = LocalStore.read(this.STORAGE_KEY);
+            if (this.isSupported(stored)) return stored;
+
+            const languages = root.navigator.languages && root.navigator.languages.length
+                ? root.navigator.languages
+                : [root.navigator.language].filter(Boolean);
+            if (!languages.length) return this.DEFAULT_LOCALE;
+
+            const match = languages
+                .map(language => language.toLowerCase().split('-')[0])
+                .find(language => this.isSupported(language));
+            return match || this.FALLBACK_LOCALE;
+        },
+
+        /**
+         * 判定した言語でページを翻訳する
+         */
+        init() {
+            this.locale = this.detect();
+            this.apply();
+        },
+
+        /**
+         * 表示言語を切り替える
+         * @param {string} locale - 言語
+         * @param {Object} [options]
+         * @param {boolean} [options.persist] - 選択を保存するか
+         */
+        setLocale(locale, { persist = true } = {}) {
+            if (!this.isSupported(locale) || locale === this.locale) return;
+
+            this.locale = locale;
+            if (persist) {
+                LocalStore.write(this.STORAGE_KEY, locale);
+            }
+
+            // 共有されたURLの言語指定を現在の言語に合わせる
+            const url = new URL(root.location.href);
+            if (url.searchParams.has('lang') || locale !== this.DEFAULT_LOCALE) {
+                if (locale === this.DEFAULT_LOCALE) {
+                    url.searchParams.delete('lang');
+                } else {
+                    url.searchParams.set('lang', locale);
+                }
+                root.history.replaceState(root.history.state, '', url);
+            }
+
+            this.apply();
+            root.document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+        },
+
+        /**
+         * data-i18n 属性を持つ要素を翻訳する
+         * @param {ParentNode} [scope] - 対象範囲
+         */
+        apply(scope = root.document) {
+            if (scope === root.document) {
+                root.document.documentElement.lang = this.locale;
+            }
+
+            scope.querySelectorAll('[data-i18n]').forEach(element => {
+                element.textContent = this.t(element.dataset.i18n);
+            });
+
+            // カタログ内の文言のみを対象とする（利用者の入力は渡さない）
+            scope.querySelectorAll('[data-i18n-html]').forEach(element => {
+                element.innerHTML = this.t(element.dataset.i18nHtml);
+            });
+
+            scope.querySelectorAll('[data-i18n-attr]').forEach(element => {
+                element.dataset.i18nAttr.split(';').forEach(pair => {
+                    const [attribute, key] = pair.split(':').map(part => part.trim());
+                    if (attribute && key) {
+                        element.setAttribute(attribute, this.t(key));
+                    }
+                });
+            });
+
+            scope.querySelectorAll(`[data-i18n-${this.locale}]`).forEach(element => {
+                element.textContent = element.getAttribute(`data-i18n-${this.locale}`);
+            });
+        }
+    };
+
+    // ドット区切りのキーでメッセージを探す
+    function lookup(messages, key) {
+        return key.split('.').reduce((node, part) => (
+            node && typeof node === 'object' ? node[part] : undefined
+        ), messages);
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = I18n;
+    } else {
+        root.I18n = I18n;
+    }
+})(typeof self !== 'undefined' ? self : this);
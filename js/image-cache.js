@@ -0,0 +1,223 @@
+/**
+ * Café Serenity - 画像キャッシュ
+ * Service Worker の画像キャッシュの保存件数・保存期間を管理する
+ * （最大件数を超えたら最後に使われた日時が古い順に削除、期限切れは再取得）
+ *
+ * Cache Storage・fetch・現在時刻はオプションで差し替えられる
+ */
+
+(function (root) {
+    'use strict';
+
+    // 各画像の保存日時・最終利用日時を記録するエントリ（実在しないURL）
+    const INDEX_URL = '/__image-cache-index__';
+
+    class ImageCache {
+        /**
+         * @param {Object} options
+         * @param {string} options.cacheName - キャッシュ名
+         * @param {number} [options.maxEntries] - 保存する画像の最大件数
+         * @param {number} [options.maxAgeSeconds] - 保存期間（秒）。過ぎた画像は再取得する
+         * @param {CacheStorage} [options.cacheStorage] - Cache Storage（既定: caches）
+         * @param {Function} [options.fetch] - fetch 関数（既定: fetch）
+         * @param {Function} [options.now] - 現在時刻（ミリ秒）を返す関数（既定: Date.now）
+         */
+        constructor({
+            cacheName,
+            maxEntries = 60,
+            maxAgeSeconds = 30 * 24 * 60 * 60,
+            cacheStorage = root.caches,
+            fetch = (...args) => root.fetch(...args),
+            now = Date.now
+        }) {
+            this.cacheName = cacheName;
+            this.maxEntries = maxEntries;
+            this.maxAge = maxAgeSeconds * 1000;
+            this.cacheStorage = cacheStorage;
+            this.fetch = fetch;
+            this.now = now;
+
+            // インデックスの読み書きを直列化する（同時に更新すると記録が失われるため）
+            this.pending = Promise.resolve();
+        }
+
+        /**
+         * 画像リクエストに応答する（stale-while-revalidate）
+         * キャッシュがあればすぐに返し、裏でネットワークから取得し直して更新する
+         * @param {FetchEvent|{request: Request, waitUntil: Function}} event - フェッチイベント
+         * @returns {Promise<Response>}
+         * @throws {Error} キャッシュがなく、ネットワークからも取得できない場合
+         */
+        async handle(event) {
+            const { request } = event;
+            const cache = await this.cacheStorage.open(this.cacheName);
+            const cached = await cache.match(request);
+            const entry = cached ? (await this.readIndex(cache))[request.url] : null;
+
+            if (cached && entry && !this.isExpired(entry)) {
+                event.waitUntil(Promise.all([
+                    this.touch(request.url),
+                    this.revalidate(request).catch(() => {})
+                ]));
+                return cached;
+            }
+
+            // 未保存・期限切れはネットワークから取得（取得できなければ期限切れでも返す）
+            try {
+                return await this.revalidate(request);
+            } catch (error) {
+                if (cached) return cached;
+                throw error;
+            }
+        }
+
+        /**
+         * ネットワークから取得し、保存できるレスポンスであればキャッシュする
+         * @param {Request} request - 画像リクエスト
+         * @returns {Promise<Response>}
+         */
+        async revalidate(request) {
+            const response = await this.fetch(request);
+
+            if (ImageCache.isCacheable(response)) {
+                await this.put(request, response.clone());
+            }
+
+            return response;
+        }
+
+        /**
+         * 画像を保存し、件数・期限の上限を適用する
+         * @param {Request} request - 画像リクエスト
+         * @param {Response} response - 保存するレスポンス
+         * @returns {Promise<void>}
+         */
+        async put(request, response) {
+            const cache = await this.cacheStorage.open(this.cacheName);
+
+            // 画像の保存もインデックスの更新と同じ順番待ちで行う
+            // （保存してから記録するまでの間に enforceLimits が動くと、記録のない画像として削除されるため）
+            await this.updateIndex(cache, async index => {
+                await cache.put(request, response);
+                const time = this.now();
+                index[request.url] = { cachedAt: time, usedAt: time };
+            });
+            await this.enforceLimits();
+        }
+
+        /**
+         * 最終利用日時を更新する
+         * @param {string} url - 画像のURL
+         * @returns {Promise<void>}
+         */
+        async touch(url) {
+            const cache = await this.cacheStorage.open(this.cacheName);
+            await this.updateIndex(cache, index => {
+                if (index[url]) {
+                    index[url].usedAt = this.now();
+                }
+            });
+        }
+
+        /**
+         * 期限切れの画像と、最大件数を超えた分の画像（最終利用日時が古い順）を削除する
+         * インデックスに記録のない画像（以前のバージョンで保存されたもの）も削除する
+         * @returns {Promise<number>} 削除した件数
+         */
+        async enforceLimits() {
+            const cache = await this.cacheStorage.open(this.cacheName);
+            let removed = 0;
+
+            await this.updateIndex(cache, async index => {
+                const urls = (await cache.keys())
+                    .map(request => request.url)
+                    .filter(url => !url.endsWith(INDEX_URL));
+
+                const stale = urls.filter(url => !index[url] || this.isExpired(index[url]));
+                const fresh = urls
+                    .filter(url => !stale.includes(url))
+                    .sort((a, b) => index[b].usedAt - index[a].usedAt);
+                const evicted = [...stale, ...fresh.slice(this.maxEntries)];
+
+                await Promise.all(evicted.map(url => cache.delete(url)));
+                evicted.forEach(url => delete index[url]);
+
+                // 画像が削除済みの記録も整理
+                Object.keys(index)
+                    .filter(url => !urls.includes(url))
+                    .forEach(url => delete index[url]);
+
+                removed = evicted.length;
+            });
+
+            return removed;
+        }
+
+        /**
+         * 保存しているすべての画像を削除する
+         * @returns {Promise<boolean>}
+         */
+        clear() {
+            return this.cacheStorage.delete(this.cacheName);
+        }
+
+        isExpired(entry) {
+            return this.now() - entry.cachedAt > this.maxAge;
+        }
+
+        /**
+         * インデックスを読み込む
+         * @param {Cache} cache - 画像キャッシュ
+         * @returns {Promise<Object>} URLをキーとした {cachedAt, usedAt}
+         */
+        async readIndex(cache) {
+            const response = await cache.match(INDEX_URL);
+            if (!response) return {};
+
+            try {
+                return await response.json();
+            } catch (error) {
+                return {};
+            }
+        }
+
+        /**
+         * インデックスを読み込んで更新し、書き戻す
+         * @param {Cache} cache - 画像キャッシュ
+         * @param {Function} update - インデックスを受け取って変更する関数
+         * @returns {Promise<void>}
+         */
+        updateIndex(cache, update) {
+            const task = this.pending.then(async () => {
+                const index = await this.readIndex(cache);
+                await update(index);
+                await cache.put(INDEX_URL, new Response(JSON.stringify(index), {
+                    headers: { 'Content-Type': 'application/json' }
+                }));
+            });
+
+            // 失敗しても後続の更新は続ける
+            this.pending = task.catch(() => {});
+            return task;
+        }
+
+        /**
+         * 保存してよいレスポンスか（成功した同一オリジン・CORSの画像のみ）
+         * opaque レスポンスはステータスや種類を確認できず、容量も大きく見積もられるため保存しない
+         * @param {Response} response - レスポンス
+         * @returns {boolean}
+         */
+        static isCacheable(response) {
+            if (!response || !response.ok || response.type === 'opaque') return false;
+
+            const contentType = response.headers.get('Content-Type') || '';
+            return contentType.startsWith('image/');
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ImageCache;
+    } else {
+        root.ImageCache = ImageCache;
+    }
+})(typeof self !== 'undefined' ? self : this);
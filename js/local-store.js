@@ -0,0 +1,57 @@
+/**
+ * Café Serenity - localStorage の読み書き
+ * プライベートブラウズなどで localStorage が使えない場合も例外を出さずに処理を続ける
+ * （ページ、オフライン・404ページ、Nodeのリファレンスサーバーで共有。Nodeでは何も保存しない）
+ *
+ * 表示テーマ（js/theme.js）・動きを減らす設定（js/motion.js）より先に読み込むため、<head> で defer なしで読み込む
+ */
+
+(function (root) {
+    'use strict';
+
+    const LocalStore = {
+        /**
+         * 読み込む（使えない場合は null）
+         * @param {string} key - キー
+         * @returns {string|null}
+         */
+        read(key) {
+            try {
+                return root.localStorage.getItem(key);
+            } catch (error) {
+                return null;
+            }
+        },
+
+        /**
+         * 保存する（使えない場合は保存しない）
+         * @param {string} key - キー
+         * @param {string} value - 値
+         */
+        write(key, value) {
+            try {
+                root.localStorage.setItem(key, value);
+            } catch (error) {
+                // 保存できなくても処理は続ける
+            }
+        },
+
+        /**
+         * 削除する（使えない場合は何もしない）
+         * @param {string} key - キー
+         */
+        remove(key) {
+            try {
+                root.localStorage.removeItem(key);
+            } catch (error) {
+                // 削除できなくても処理は続ける
+            }
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LocalStore;
+    } else {
+        root.LocalStore = LocalStore;
+    }
+})(typeof self !== 'undefined' ? self : this);
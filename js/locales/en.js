@@ -0,0 +1,276 @@
+/**
+ * Café Serenity - 英語メッセージカタログ
+ * キーは js/locales/ja.js と揃えてください（未翻訳のキーは日本語で表示されます）
+ */
+
+(function (root) {
+    'use strict';
+
+    const I18n = typeof module !== 'undefined' && module.exports
+        ? require('../i18n')
+        : root.I18n;
+
+    I18n.addMessages('en', {
+        meta: {
+            title: 'Café Serenity - A Place to Unwind | A Quiet Café in Shibuya',
+            description: 'Café Serenity is a quiet café in Shibuya, Tokyo. Enjoy carefully selected specialty coffee and handmade sweets in a calm, welcoming space.',
+            canonical: 'https://cafe-serenity.com/?lang=en'
+        },
+        skipLink: 'Skip to main content',
+        nav: {
+            label: 'Main navigation',
+            openMenu: 'Open menu',
+            language: 'Language',
+            theme: 'Theme',
+            reduceMotion: 'Reduce motion'
+        },
+        theme: {
+            auto: 'Match device settings',
+            light: 'Light',
+            dark: 'Dark',
+            contrast: 'High contrast'
+        },
+        hero: {
+            tagline: 'A quiet place of calm',
+            subline: 'where you can truly unwind'
+        },
+        about: {
+            lead: 'A moment of calm in your everyday life. Café Serenity is a relaxing retreat offering a comfortable space and food made with each guest in mind.',
+            beans: {
+                title: 'Carefully Selected Beans',
+                text: 'Specialty coffee beans sourced from around the world and carefully roasted for you.'
+            },
+            calm: {
+                title: 'Peace of Mind',
+                text: 'Leave the rush of daily life behind and take your time in our quiet, relaxing space.'
+            },
+            service: {
+                title: 'Warm Hospitality',
+                text: 'We value heartfelt hospitality that attends to every guest.'
+            }
+        },
+        menu: {
+            lead: 'From main dishes for lunch or dinner to sides for sharing and desserts to finish, we offer a wide selection.',
+            filters: 'Search and filter the menu',
+            searchLabel: 'Search the menu',
+            searchPlaceholder: 'Search the menu (e.g. latte, vegan)',
+            categories: 'Categories',
+            tags: 'Dietary needs and allergens',
+            all: 'All',
+            itemTags: 'Ingredients and dietary information',
+            soldOut: 'Sold out',
+            results: 'Showing {count} of {total} menu items',
+            noResults: 'No menu items match your filters',
+            empty: 'No menu items match your filters. Please try different options.',
+            loadError: 'We could not load the menu. Please try again later.'
+        },
+        info: {
+            closedDaysLabel: 'Closed: ',
+            newsLink: 'Changes to our opening hours, such as over the New Year, are announced in News',
+            exceptions: 'Special opening hours and closures'
+        },
+        news: {
+            lead: 'Seasonal menus, changes to our opening hours and upcoming events',
+            pinned: 'Pinned',
+            new: 'NEW',
+            empty: 'There is no news at the moment.',
+            loadError: 'We could not load the news. Please try again later.',
+            feed: 'Subscribe to the feed (Atom)',
+            feedUrl: '/feed-en.xml'
+        },
+        status: {
+            openUntil: 'Open · until {time}',
+            closedToday: 'Closed today',
+            closedTodayException: 'Closed today',
+            closed: 'Closed',
+            opensAt: 'Opens {day} at {time}',
+            today: 'today',
+            tomorrow: 'tomorrow',
+            period: '{from} – {to}'
+        },
+        gallery: {
+            lead: 'Take a look at our warm interior and the dishes that make our guests feel at home',
+            items: {
+                interior: {
+                    title: 'A Space Wrapped in Quiet',
+                    alt: 'The whole café interior, where natural light and house plants create a calm space'
+                },
+                coffee: {
+                    title: 'Crafted by Our Baristas',
+                    alt: 'A cappuccino with beautiful latte art and rising steam'
+                },
+                food: {
+                    title: 'Light, Satisfying Meals',
+                    alt: 'A sandwich with fresh vegetables and ham, neatly served on a white plate'
+                },
+                plants: {
+                    title: 'In Harmony with Nature',
+                    alt: 'House plants in natural light, filling the café with green'
+                },
+                dessert: {
+                    title: 'Seasonal Sweets',
+                    alt: 'A seasonal fruit tart handmade by our pastry chef'
+                },
+                tea: {
+                    title: 'A Refined Tea Time',
+                    alt: 'An elegant teacup set for tea time with fine black tea'
+                }
+            }
+        },
+        lightbox: {
+            previous: 'Previous image',
+            next: 'Next image',
+            close: 'Close'
+        },
+        contact: {
+            lead: 'For reservations and inquiries, please call us or use the form below'
+        },
+        form: {
+            name: 'Name',
+            namePlaceholder: 'Taro Yamada',
+            email: 'Email address',
+            inquiryType: 'Inquiry type',
+            inquiryTypes: {
+                general: 'General inquiry',
+                reservation: 'Reservation',
+                private: 'Private hire',
+                other: 'Other'
+            },
+            reservation: 'Reservation details',
+            date: 'Date',
+            time: 'Time',
+            partySize: 'Number of guests',
+            partySizeHint: 'For groups of 11 or more, please select “Private hire”',
+            message: 'Message',
+            messagePlaceholder: 'Please enter your message',
+            submit: 'Send',
+            sending: 'Sending...',
+            sent: 'Sent!',
+            queued: 'Saved for later',
+            checkInput: 'Please check your entries',
+            failed: 'Could not send',
+            failedReason: 'Could not send: {reason}',
+            networkError: 'Could not connect to the network',
+            offline: 'You are offline',
+            queuedNotice: 'You appear to be offline, so your message has been saved on this device. It will be sent automatically once you are back online.',
+            syncRejected: '{count} of your saved messages could not be sent.',
+            syncSent: 'Your saved messages ({count}) have been sent.',
+            draft: {
+                prompt: 'Restore what you entered last time?',
+                restore: 'Restore',
+                discard: 'Discard'
+            },
+            rejected: {
+                prompt: 'A message you saved while offline could not be sent. Put it back into the form, check it and send it again.',
+                reason: 'Reason: {reason}',
+                restore: 'Put back into the form',
+                dismiss: 'Delete'
+            },
+            errors: {
+                required: 'This field is required',
+                email: 'Please enter a valid email address',
+                range: 'Please enter a number from {min} to {max}',
+                maxLength: 'Please enter no more than {limit} characters',
+                inquiryType: 'Please select an inquiry type',
+                invalidDate: 'Please enter a valid date',
+                pastDate: 'Please choose today or a later date',
+                closed: 'We are closed on this day',
+                invalidTime: 'Please enter a valid time',
+                pastTime: 'Please choose a time later than now',
+                outsideHours: 'Reservations are available from {from} to {to} (last booking)',
+                invalidSlot: 'Please enter a valid date and time',
+                pastSlot: 'Please choose a date and time later than now',
+                outsideHoursShort: 'Outside opening hours',
+                verification: 'We could not verify your submission. Please reload the page and try again',
+                rateLimited: 'Too many submissions in a short time. Please wait a moment and try again',
+                summary: 'Some entries are invalid',
+                count: 'Entries to fix: {count}'
+            }
+        },
+        confirmation: {
+            reservationHeading: 'Reservation received',
+            reservationLead: 'We have received the details below and look forward to welcoming you.',
+            inquiryHeading: 'Inquiry received',
+            inquiryLead: 'We have received the details below. Our staff will get back to you shortly.',
+            reference: 'Reference number',
+            referenceHint: 'Please quote this reference number when contacting us',
+            partySizeValue: 'Party of {count}',
+            addToCalendar: 'Add to calendar',
+            email: 'Email me a copy',
+            print: 'Print',
+            newInquiry: 'New inquiry',
+            emailSubject: '[{name}] Your submission (reference: {reference})',
+            eventTitle: 'Reservation at {name}',
+            alarm: 'Your reservation at {name} is coming up'
+        },
+        push: {
+            heading: 'Notifications',
+            lead: 'Get notified about seasonal specials and reservation confirmations in your browser.',
+            topics: 'Notifications to receive',
+            topicSpecials: 'Seasonal specials and news',
+            topicReservations: 'Reservation confirmations',
+            enable: 'Turn on notifications',
+            disable: 'Turn off notifications',
+            enabled: 'Notifications are on',
+            blocked: 'Notifications are blocked. Please allow them in your browser’s site settings',
+            failed: 'We could not change your notification settings. Please try again later',
+            prompt: 'Get your reservation confirmation as a notification?',
+            accept: 'Yes, notify me',
+            dismiss: 'Not now',
+            reservationTitle: 'Reservation received',
+            reservationBody: 'We look forward to seeing your party of {partySize} on {date} at {time}.'
+        },
+        analytics: {
+            title: 'Help us improve this site',
+            message: 'With your consent, we count which sections are viewed and how easy the reservation form is to use. No cookies are used, and nothing that identifies you, such as your name or what you type, is sent.',
+            accept: 'Accept',
+            decline: 'Decline',
+            settings: 'Analytics settings'
+        },
+        update: {
+            available: 'A new version is available',
+            reload: 'Update',
+            dismiss: 'Dismiss'
+        },
+        footer: {
+            description: 'A quiet place of calm where you can truly unwind.<br>Step away from the busy day and enjoy a special moment.',
+            hours: 'Opening Hours'
+        },
+        offline: {
+            title: 'Offline - Café Serenity',
+            description: 'You are currently offline. Please check your internet connection.',
+            heading: 'You are offline',
+            message: 'You are not connected to the internet right now.<br>Please check your connection and try again.',
+            reload: 'Reload page',
+            tipsHeading: 'To check your connection:',
+            tips: {
+                network: 'Make sure Wi-Fi or mobile data is turned on',
+                airplane: 'Make sure airplane mode is turned off',
+                router: 'Try restarting your router or modem',
+                otherSites: 'Check whether other websites load'
+            },
+            saved: {
+                heading: 'Available offline',
+                page: 'View the saved copy of this page',
+                menu: 'View the last saved menu',
+                hours: 'View the last saved opening hours and access',
+                savedAt: 'Saved on {date}'
+            }
+        },
+        notFound: {
+            title: '404 - Page Not Found | Café Serenity',
+            description: 'The page you were looking for could not be found.',
+            heading: 'Page not found',
+            message: 'Sorry, the page you are looking for may have been moved or deleted.<br>Please use the links below to find what you need.',
+            home: 'Back to home',
+            menu: 'View the menu',
+            suggestions: 'You may be looking for',
+            links: {
+                info: { title: 'Information', text: 'Opening hours and access' },
+                gallery: { title: 'Gallery', text: 'Inside the café' },
+                contact: { title: 'Reservations', text: 'Contact form' },
+                menu: { title: 'Menu', text: 'Food and drinks' }
+            }
+        }
+    });
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,276 @@
+/**
+ * Café Serenity - 日本語メッセージカタログ
+ * キーを追加するときは js/locales/en.js にも同じキーを追加してください
+ */
+
+(function (root) {
+    'use strict';
+
+    const I18n = typeof module !== 'undefined' && module.exports
+        ? require('../i18n')
+        : root.I18n;
+
+    I18n.addMessages('ja', {
+        meta: {
+            title: 'Café Serenity - 心の落ち着く空間 | 渋谷の静かなカフェ',
+            description: 'Café Serenityは、渋谷にある静寂と安らぎを提供するカフェです。厳選されたスペシャルティコーヒーと手作りスイーツ、温かい空間で心の休息をお届けします。',
+            canonical: 'https://cafe-serenity.com/'
+        },
+        skipLink: 'メインコンテンツへスキップ',
+        nav: {
+            label: 'メインナビゲーション',
+            openMenu: 'メニューを開く',
+            language: '表示言語',
+            theme: '表示テーマ',
+            reduceMotion: '動きを減らす'
+        },
+        theme: {
+            auto: '端末の設定に合わせる',
+            light: 'ライト',
+            dark: 'ダーク',
+            contrast: 'ハイコントラスト'
+        },
+        hero: {
+            tagline: '静寂と安らぎを提供する',
+            subline: '心の落ち着く空間'
+        },
+        about: {
+            lead: '何気ない毎日の中で、心安らぐひと時を。Café Serenityはお客様ひとりひとりに寄り添う、心地よい空間とお食事を提供する憩いの場です。',
+            beans: {
+                title: '厳選された豆',
+                text: '世界各地から厳選したスペシャルティコーヒー豆を、丁寧に焙煎してお届けします。'
+            },
+            calm: {
+                title: '心の安らぎ',
+                text: '静かで落ち着いた空間で、忙しい日常を忘れてゆったりとした時間をお過ごしください。'
+            },
+            service: {
+                title: '温かいサービス',
+                text: '一人ひとりのお客様に寄り添った、心のこもったおもてなしを大切にしています。'
+            }
+        },
+        menu: {
+            lead: 'ランチやディナーにおススメのメイン料理や、シェアに最適なサイドメニュー、食後のデザートなど幅広くご用意しております。',
+            filters: 'メニューの検索と絞り込み',
+            searchLabel: 'メニューを検索',
+            searchPlaceholder: 'メニューを検索（例: ラテ、ヴィーガン）',
+            categories: 'カテゴリー',
+            tags: '食事制限・アレルゲン',
+            all: 'すべて',
+            itemTags: '食材・食事制限',
+            soldOut: '品切れ',
+            results: '{total}件中{count}件のメニューを表示しています',
+            noResults: '条件に一致するメニューはありません',
+            empty: '条件に一致するメニューはありません。条件を変えてお試しください。',
+            loadError: 'メニューを読み込めませんでした。時間をおいて再度お試しください。'
+        },
+        info: {
+            closedDaysLabel: '定休日: ',
+            newsLink: '年末年始などの営業時間の変更はお知らせでご案内します',
+            exceptions: '臨時営業・臨時休業のお知らせ'
+        },
+        news: {
+            lead: '季節のメニューや営業時間の変更、イベントのお知らせです',
+            pinned: 'ピン留め',
+            new: 'NEW',
+            empty: '現在お知らせはありません。',
+            loadError: 'お知らせを読み込めませんでした。時間をおいて再度お試しください。',
+            feed: 'フィードで購読する（Atom）',
+            feedUrl: '/feed.xml'
+        },
+        status: {
+            openUntil: '営業中 · {time}まで',
+            closedToday: '本日定休日',
+            closedTodayException: '本日休業',
+            closed: '休業中',
+            opensAt: '{day} {time} 開店',
+            today: '本日',
+            tomorrow: '明日',
+            period: '{from}〜{to}'
+        },
+        gallery: {
+            lead: '店内の温かい雰囲気と、心を癒す料理の数々をご覧ください',
+            items: {
+                interior: {
+                    title: '静寂に包まれた空間',
+                    alt: '静寂に包まれたカフェの店内全景、自然光と観葉植物が調和した空間'
+                },
+                coffee: {
+                    title: '職人が淹れる一杯',
+                    alt: '美しいラテアートが描かれたカプチーノ、湯気が立ち上る様子'
+                },
+                food: {
+                    title: '心を満たす軽やかな食事',
+                    alt: '新鮮な野菜とハムのサンドイッチ、白いプレートに美しく盛り付けられている'
+                },
+                plants: {
+                    title: '自然との調和',
+                    alt: '自然光に照らされた観葉植物、緑豊かなカフェの癒し空間'
+                },
+                dessert: {
+                    title: '季節を彩るスイーツ',
+                    alt: '季節のフルーツタルト、パティシエ手作りの美しいデザート'
+                },
+                tea: {
+                    title: '上質なティータイム',
+                    alt: 'エレガントなティーカップセット、上質な紅茶でのティータイム'
+                }
+            }
+        },
+        lightbox: {
+            previous: '前の画像',
+            next: '次の画像',
+            close: '閉じる'
+        },
+        contact: {
+            lead: 'ご予約やお問い合わせは、お電話またはフォームからお気軽にお申し付けください'
+        },
+        form: {
+            name: 'お名前',
+            namePlaceholder: '山田太郎',
+            email: 'メールアドレス',
+            inquiryType: 'お問い合わせ種別',
+            inquiryTypes: {
+                general: '一般的なお問い合わせ',
+                reservation: 'ご予約について',
+                private: '貸切について',
+                other: 'その他'
+            },
+            reservation: 'ご予約内容',
+            date: 'ご来店日',
+            time: 'ご来店時刻',
+            partySize: '人数',
+            partySizeHint: '11名様以上のご利用は「貸切について」からお問い合わせください',
+            message: 'お問い合わせ内容',
+            messagePlaceholder: 'お問い合わせ内容をご記入ください',
+            submit: '送信する',
+            sending: '送信中...',
+            sent: '送信完了！',
+            queued: '送信を保留しました',
+            checkInput: '入力内容をご確認ください',
+            failed: '送信エラー',
+            failedReason: '送信エラー: {reason}',
+            networkError: 'ネットワークに接続できません',
+            offline: 'オフラインです',
+            queuedNotice: '通信できないため、お問い合わせ内容を端末に保存しました。接続が回復すると自動的に送信されます。',
+            syncRejected: '保留していたお問い合わせのうち{count}件は送信できませんでした。',
+            syncSent: '保留していたお問い合わせ（{count}件）を送信しました。',
+            draft: {
+                prompt: '前回の入力内容を復元しますか？',
+                restore: '復元する',
+                discard: '破棄する'
+            },
+            rejected: {
+                prompt: '保留していたお問い合わせを送信できませんでした。入力内容をフォームに戻して、ご確認のうえ再度送信してください。',
+                reason: '理由: {reason}',
+                restore: '入力内容を戻す',
+                dismiss: '削除する'
+            },
+            errors: {
+                required: 'このフィールドは必須です',
+                email: '有効なメールアドレスを入力してください',
+                range: '{min}〜{max}の範囲で入力してください',
+                maxLength: '{limit}文字以内で入力してください',
+                inquiryType: 'お問い合わせ種別を選択してください',
+                invalidDate: '有効な日付を入力してください',
+                pastDate: '本日以降の日付を選択してください',
+                closed: 'この日は休業日です',
+                invalidTime: '有効な時刻を入力してください',
+                pastTime: '現在より後の時刻を選択してください',
+                outsideHours: 'ご予約は{from}〜{to}（最終受付）の間で承ります',
+                invalidSlot: '有効な日時を入力してください',
+                pastSlot: '現在より後の日時を選択してください',
+                outsideHoursShort: '営業時間外です',
+                verification: '送信内容を確認できませんでした。ページを再読み込みして、もう一度お試しください',
+                rateLimited: '短時間に送信が集中しています。しばらくしてから、もう一度お試しください',
+                summary: '入力内容に誤りがあります',
+                count: '入力内容に{count}件の誤りがあります'
+            }
+        },
+        confirmation: {
+            reservationHeading: 'ご予約を承りました',
+            reservationLead: '以下の内容で承りました。ご来店を心よりお待ちしております。',
+            inquiryHeading: 'お問い合わせを承りました',
+            inquiryLead: '以下の内容で承りました。担当者より折り返しご連絡いたします。',
+            reference: '受付番号',
+            referenceHint: 'お問い合わせの際は受付番号をお伝えください',
+            partySizeValue: '{count}名様',
+            addToCalendar: 'カレンダーに追加',
+            email: 'メールで控えを送る',
+            print: '印刷する',
+            newInquiry: '新しいお問い合わせ',
+            emailSubject: '【{name}】受付内容の控え（受付番号: {reference}）',
+            eventTitle: '{name} ご予約',
+            alarm: 'まもなく{name}のご予約のお時間です'
+        },
+        push: {
+            heading: '通知設定',
+            lead: '季節限定メニューのお知らせや、ご予約の確認をブラウザの通知でお届けします。',
+            topics: '受け取る通知',
+            topicSpecials: '季節限定メニュー・お知らせ',
+            topicReservations: 'ご予約の確認',
+            enable: '通知を受け取る',
+            disable: '通知を停止する',
+            enabled: '通知を受け取る設定になっています',
+            blocked: '通知がブロックされています。ブラウザのサイト設定から許可してください',
+            failed: '通知の設定を変更できませんでした。時間をおいて再度お試しください',
+            prompt: 'ご予約の確認を通知で受け取りますか？',
+            accept: '受け取る',
+            dismiss: '今はしない',
+            reservationTitle: 'ご予約を承りました',
+            reservationBody: '{date} {time}、{partySize}名様でお待ちしております。'
+        },
+        analytics: {
+            title: 'アクセス解析へのご協力のお願い',
+            message: 'サイトの改善のため、よく見られているメニューや予約フォームの使いやすさを集計します。Cookieは使わず、お名前や入力内容など個人を特定できる情報は送信しません。',
+            accept: '同意する',
+            decline: '同意しない',
+            settings: 'アクセス解析の設定'
+        },
+        update: {
+            available: '新しいバージョンがあります',
+            reload: '更新',
+            dismiss: '閉じる'
+        },
+        footer: {
+            description: '静寂と安らぎを提供する、心の落ち着く空間。<br>忙しい日常から離れて、特別なひとときをお過ごしください。',
+            hours: '営業時間'
+        },
+        offline: {
+            title: 'オフライン - Café Serenity',
+            description: '現在オフラインです。インターネット接続を確認してください。',
+            heading: 'オフラインです',
+            message: '現在インターネットに接続されていません。<br>接続を確認してから、もう一度お試しください。',
+            reload: 'ページを再読み込み',
+            tipsHeading: '接続を確認するには：',
+            tips: {
+                network: 'Wi-Fiまたはモバイルデータが有効になっているか確認',
+                airplane: '機内モードがオフになっているか確認',
+                router: 'ルーターやモデムを再起動してみる',
+                otherSites: '他のウェブサイトにアクセスできるか確認'
+            },
+            saved: {
+                heading: 'オフラインでも見られる情報',
+                page: '保存済みのこのページを表示',
+                menu: '最後に保存したメニューを見る',
+                hours: '最後に保存した営業時間・アクセスを見る',
+                savedAt: '{date}時点の情報です'
+            }
+        },
+        notFound: {
+            title: '404 - ページが見つかりません | Café Serenity',
+            description: 'お探しのページが見つかりませんでした。',
+            heading: 'ページが見つかりません',
+            message: '申し訳ございません。お探しのページは移動または削除された可能性があります。<br>以下のリンクから、お探しの情報をご確認ください。',
+            home: 'ホームへ戻る',
+            menu: 'メニューを見る',
+            suggestions: 'お探しの情報はこちらかもしれません',
+            links: {
+                info: { title: '店舗情報', text: '営業時間・アクセス' },
+                gallery: { title: 'ギャラリー', text: '店内の様子' },
+                contact: { title: 'ご予約', text: 'お問い合わせフォーム' },
+                menu: { title: 'メニュー', text: 'お食事・ドリンク' }
+            }
+        }
+    });
+})(typeof self !== 'undefined' ? self : this);
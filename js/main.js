@@ -33,6 +33,8 @@ class HeroButtonAnimations {
     }
 
     createRippleEffect(event, button) {
+        if (Utils.prefersReducedMotion()) return;
+        
         const ripple = document.createElement('span');
         const rect = button.getBoundingClientRect();
         const size = Math.max(rect.width, rect.height);
@@ -64,12 +66,18 @@ class HeroButtonAnimations {
     addHoverEffects(button) {
         // ホバー時の音響効果（オプション）
         button.addEventListener('mouseenter', () => {
+            if (Utils.prefersReducedMotion()) return;
             button.style.transform = 'translateY(-3px) scale(1.02)';
         });
         
         button.addEventListener('mouseleave', () => {
             button.style.transform = 'translateY(0) scale(1)';
         });
+        
+        // 動きを減らす設定に切り替えたら、浮き上がった状態を戻す
+        document.addEventListener('motionchange', (e) => {
+            if (e.detail.reduced) button.style.transform = '';
+        });
     }
 }
 
@@ -78,7 +86,28 @@ const CONFIG = {
     SCROLL_THRESHOLD: 300,
     ANIMATION_DURATION: 800,
     DEBOUNCE_DELAY: 150,
-    MOBILE_BREAKPOINT: 768
+    SWIPE_THRESHOLD: 50,
+    LAZY_LOAD_MARGIN: '200px',
+    MENU_URL: 'data/menu.json',
+    NEWS_URL: 'data/news.json',
+    FORM_ENDPOINT: '/api/reservations',
+    FORM_TIMEOUT: 10000,
+    PUSH_ENDPOINT: '/api/push/subscriptions',
+    PUSH_KEY_URL: '/api/push/public-key',
+    PUSH_TOPICS_KEY: 'cafe-serenity-push-topics',
+    PUSH_PROMPT_KEY: 'cafe-serenity-push-prompted',
+    // カレンダーに追加する予約の長さと、通知する時間（開始の何分前）
+    RESERVATION_DURATION: 90,
+    RESERVATION_REMINDER: 60,
+    // 入力途中の内容の下書き（保存までの待機時間と有効期間、ミリ秒）
+    DRAFT_KEY: 'cafe-serenity-form-draft',
+    DRAFT_SAVE_DELAY: 500,
+    DRAFT_TTL: 7 * 24 * 60 * 60 * 1000,
+    // アクセス解析（同意の保存先と、イベントをまとめて送る件数・待機時間）
+    ANALYTICS_ENDPOINT: '/api/analytics',
+    ANALYTICS_CONSENT_KEY: 'cafe-serenity-analytics-consent',
+    ANALYTICS_BATCH_SIZE: 10,
+    ANALYTICS_FLUSH_DELAY: 5000
 };
 
 // ユーティリティ関数
@@ -101,6 +130,22 @@ const Utils = {
         };
     },
 
+    /**
+     * 動きを減らすか（端末の設定と「動きを減らす」ボタンの選択。判定は js/motion.js）
+     * @returns {boolean}
+     */
+    prefersReducedMotion() {
+        return typeof Motion !== 'undefined' && Motion.reduced;
+    },
+
+    /**
+     * スクロールの動き（動きを減らす場合は瞬時に移動する）
+     * @returns {string} 'smooth' | 'auto'
+     */
+    scrollBehavior() {
+        return this.prefersReducedMotion() ? 'auto' : 'smooth';
+    },
+
     /**
      * スムーズスクロール
      * @param {string|HTMLElement} target - スクロール先
@@ -112,12 +157,26 @@ const Utils = {
             
         if (element) {
             element.scrollIntoView({
-                behavior: 'smooth',
+                behavior: this.scrollBehavior(),
                 block: 'start'
             });
         }
     },
 
+    /**
+     * クラス名とテキストを指定して要素を作成
+     * @param {string} tag - タグ名
+     * @param {string} [className] - クラス名
+     * @param {string} [text] - テキスト
+     * @returns {HTMLElement} 作成した要素
+     */
+    createElement(tag, className, text) {
+        const element = document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    },
+
     /**
      * 要素の表示/非表示を切り替え
      * @param {HTMLElement} element - 対象要素
@@ -170,6 +229,13 @@ class MobileMenu {
                 this.close();
             }
         });
+        
+        // タブレット以上の幅ではメニューをCSSで隠すため、開いたままにしない（js/breakpoints.js）
+        document.addEventListener('breakpointchange', () => {
+            if (Breakpoints.isAtLeast('tablet') && this.isOpen) {
+                this.close();
+            }
+        });
     }
 
     toggle() {
@@ -205,11 +271,90 @@ class MobileMenu {
     }
 }
 
+// 表示言語の切り替えボタン（デスクトップ・モバイルメニュー共通）
+class LanguageSwitcher {
+    constructor() {
+        this.buttons = document.querySelectorAll('[data-locale]');
+        this.init();
+    }
+
+    init() {
+        if (!this.buttons.length) return;
+        
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => I18n.setLocale(button.dataset.locale));
+        });
+        
+        document.addEventListener('localechange', () => this.update());
+        this.update();
+    }
+
+    // 選択中の言語のボタンを押下状態にする
+    update() {
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.locale === I18n.locale));
+        });
+    }
+}
+
+// 表示テーマの切り替え（テーマの判定・保存・反映は js/theme.js）
+class ThemeSwitcher {
+    constructor() {
+        this.buttons = document.querySelectorAll('[data-theme-option]');
+        this.init();
+    }
+
+    init() {
+        if (!this.buttons.length || typeof Theme === 'undefined') return;
+        
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => Theme.setPreference(button.dataset.themeOption));
+        });
+        
+        document.addEventListener('themechange', () => this.update());
+        this.update();
+    }
+
+    // 選択中のテーマ（選択していない場合は「端末の設定に合わせる」）のボタンを押下状態にする
+    update() {
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.themeOption === Theme.preference));
+        });
+    }
+}
+
+// 「動きを減らす」ボタン（判定・保存・反映は js/motion.js）
+class MotionToggle {
+    constructor() {
+        this.buttons = document.querySelectorAll('[data-motion-toggle]');
+        this.init();
+    }
+
+    init() {
+        if (!this.buttons.length || typeof Motion === 'undefined') return;
+        
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => Motion.setReduced(!Motion.reduced));
+        });
+        
+        document.addEventListener('motionchange', () => this.update());
+        this.update();
+    }
+
+    // 端末の設定で動きを減らしている場合も押下状態にする
+    update() {
+        this.buttons.forEach(button => {
+            button.setAttribute('aria-pressed', String(Motion.reduced));
+        });
+    }
+}
+
 // スクロール関連の機能
 class ScrollEffects {
     constructor() {
         this.scrollTopBtn = document.getElementById('scroll-top');
         this.parallaxElements = document.querySelectorAll('.parallax');
+        this.header = document.querySelector('nav');
         this.sections = document.querySelectorAll('section[id]');
         this.navLinks = document.querySelectorAll('nav a[href^="#"]');
         
@@ -219,6 +364,12 @@ class ScrollEffects {
         this.currentActiveSection = '';
         this.scrollTopBtnVisible = false;
         
+        // 現在地の表示（スクロールスパイ）
+        this.spy = null;
+        this.headerHeight = 0;
+        // 共有されたURLの位置を表示し終えるまでは、URLハッシュを書き換えない
+        this.isRestoring = Boolean(ScrollEffects.getSectionId(window.location.hash));
+        
         this.init();
     }
 
@@ -237,18 +388,50 @@ class ScrollEffects {
         // スクロールトップボタン
         if (this.scrollTopBtn) {
             this.scrollTopBtn.addEventListener('click', () => {
-                window.scrollTo({ top: 0, behavior: 'smooth' });
+                window.scrollTo({ top: 0, behavior: Utils.scrollBehavior() });
             });
         }
         
-        // スムーズスクロール
+        // スムーズスクロール（戻るボタンで元の位置に戻れるよう履歴に追加する）
         document.querySelectorAll('a[href^="#"]').forEach(anchor => {
             anchor.addEventListener('click', (e) => {
+                const hash = anchor.getAttribute('href');
+                const target = document.getElementById(ScrollEffects.getSectionId(hash));
+                if (!target) return;
+                
                 e.preventDefault();
-                const target = anchor.getAttribute('href');
+                if (hash !== window.location.hash) {
+                    history.pushState(null, '', hash);
+                }
                 Utils.smoothScroll(target);
             });
         });
+        
+        // 固定ヘッダーの高さを反映してから現在地の監視を始める（画面幅が変わると高さも変わる）
+        this.updateHeaderHeight();
+        this.initScrollspy();
+        window.addEventListener('resize', Utils.debounce(() => {
+            this.updateHeaderHeight();
+            this.initScrollspy();
+        }, CONFIG.DEBOUNCE_DELAY));
+        
+        // 戻る・進むではブラウザが覚えた位置ではなく、URLハッシュのセクションを表示する
+        if ('scrollRestoration' in history) {
+            history.scrollRestoration = 'manual';
+        }
+        window.addEventListener('popstate', () => this.scrollToHash());
+        
+        // 共有されたURL（/#menu など）のセクションを、画像などの読み込みで位置がずれた後に表示し直す
+        if (this.isRestoring) {
+            if (document.readyState === 'complete') {
+                this.restorePosition();
+            } else {
+                window.addEventListener('load', () => this.restorePosition(), { once: true });
+            }
+        }
+        
+        // 動きを減らす設定の切り替え時にパララックスの位置を更新する
+        document.addEventListener('motionchange', () => this.updateParallax(window.pageYOffset));
     }
 
     handleScroll() {
@@ -268,12 +451,15 @@ class ScrollEffects {
             this.updateParallax(scrollY);
             this.lastScrollY = scrollY;
         }
-        
-        // ナビゲーションのアクティブ状態（変更時のみ実行）
-        this.updateActiveNavigation(scrollY);
     }
 
     updateParallax(scrollY) {
+        // 動きを減らす場合は元の位置に戻す
+        if (Utils.prefersReducedMotion()) {
+            this.parallaxElements.forEach(element => element.style.removeProperty('--parallax-y'));
+            return;
+        }
+        
         // CSS変数を使用してパフォーマンスを向上
         this.parallaxElements.forEach(element => {
             const speed = parseFloat(element.dataset.speed) || 0.5;
@@ -282,425 +468,1926 @@ class ScrollEffects {
         });
     }
 
-    updateActiveNavigation(scrollY) {
-        let current = '';
+    // 固定ヘッダー（開いたモバイルメニューを除く）の高さ。スクロール先の位置合わせに CSS の --header-height を使う
+    updateHeaderHeight() {
+        this.headerHeight = this.header && this.header.firstElementChild
+            ? this.header.firstElementChild.offsetHeight
+            : 0;
+        document.documentElement.style.setProperty('--header-height', `${this.headerHeight}px`);
+    }
+
+    // ヘッダーのすぐ下の線と重なっているセクションを現在地にする
+    initScrollspy() {
+        if (!this.sections.length || !('IntersectionObserver' in window)) return;
         
-        this.sections.forEach(section => {
-            const sectionTop = section.offsetTop - 100;
-            if (scrollY >= sectionTop) {
-                current = section.getAttribute('id');
-            }
-        });
+        if (this.spy) {
+            this.spy.disconnect();
+        }
         
-        // アクティブセクションが変更された場合のみ更新
-        if (current !== this.currentActiveSection) {
-            this.navLinks.forEach(link => {
-                const href = link.getAttribute('href');
-                const isActive = href === `#${current}`;
-                
-                if (isActive) {
-                    link.classList.remove('text-stone-800');
-                    link.classList.add('text-amber-600', 'font-semibold');
-                } else {
-                    link.classList.remove('text-amber-600', 'font-semibold');
-                    link.classList.add('text-stone-800');
+        const bottom = Math.max(0, window.innerHeight - this.headerHeight - 1);
+        this.spy = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.setActiveSection(entry.target.id);
                 }
             });
-            
-            this.currentActiveSection = current;
-        }
-    }
-}
-
-// フォーム管理
-class ContactForm {
-    constructor() {
-        this.form = document.getElementById('contact-form');
-        this.init();
+        }, { rootMargin: `-${this.headerHeight}px 0px -${bottom}px 0px` });
+        
+        this.sections.forEach(section => this.spy.observe(section));
     }
 
-    init() {
-        if (!this.form) return;
-        
-        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    /**
+     * 現在地のナビゲーションに aria-current を付け、URLハッシュを更新する
+     * @param {string} id - セクションのID
+     */
+    setActiveSection(id) {
+        if (id === this.currentActiveSection) return;
+        this.currentActiveSection = id;
         
-        // リアルタイムバリデーション
-        this.form.querySelectorAll('input, textarea').forEach(field => {
-            field.addEventListener('blur', () => this.validateField(field));
+        this.navLinks.forEach(link => {
+            if (link.getAttribute('href') === `#${id}`) {
+                link.setAttribute('aria-current', 'location');
+            } else {
+                link.removeAttribute('aria-current');
+            }
         });
-    }
-
-    validateField(field) {
-        const value = field.value.trim();
-        const isRequired = field.hasAttribute('required');
         
-        if (isRequired && !value) {
-            this.showError(field, 'このフィールドは必須です');
-            return false;
-        }
+        // 履歴は増やさずに置き換える（#menu?category=... や #gallery/<slug> など、同じセクションの状態を含むハッシュはそのまま）
+        if (this.isRestoring || ScrollEffects.getSectionId(window.location.hash) === id) return;
         
-        if (field.type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                this.showError(field, '有効なメールアドレスを入力してください');
-                return false;
-            }
-        }
+        const isTop = id === this.sections[0].id;
+        if (isTop && !window.location.hash) return;
         
-        this.clearError(field);
-        return true;
+        history.replaceState(history.state, '', isTop ? window.location.pathname + window.location.search : `#${id}`);
     }
 
-    showError(field, message) {
-        const errorElement = field.parentElement.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.textContent = message;
+    /**
+     * URLハッシュの要素（#news/<id> の記事など）かセクション（ハッシュがなければページの先頭）を表示する
+     * @param {string} [behavior] - スクロールの動き
+     */
+    scrollToHash(behavior = Utils.scrollBehavior()) {
+        const hash = window.location.hash;
+        const target = (hash && document.getElementById(hash.slice(1)))
+            || document.getElementById(ScrollEffects.getSectionId(hash));
+        
+        if (target) {
+            target.scrollIntoView({ behavior, block: 'start' });
         } else {
-            const error = document.createElement('p');
-            error.className = 'error-message text-red-600 text-sm mt-1';
-            error.textContent = message;
-            field.parentElement.appendChild(error);
-        }
-        field.classList.add('border-red-500');
-    }
-
-    clearError(field) {
-        const errorElement = field.parentElement.querySelector('.error-message');
-        if (errorElement) {
-            errorElement.remove();
+            window.scrollTo({ top: 0, behavior });
         }
-        field.classList.remove('border-red-500');
     }
 
-    async handleSubmit(e) {
-        e.preventDefault();
-        
-        // 全フィールドのバリデーション
-        const fields = this.form.querySelectorAll('input, textarea');
-        let isValid = true;
-        
-        fields.forEach(field => {
-            if (!this.validateField(field)) {
-                isValid = false;
-            }
-        });
-        
-        if (!isValid) return;
-        
-        // 送信処理
-        const submitBtn = this.form.querySelector('button[type="submit"]');
-        const originalText = submitBtn.innerHTML;
-        
-        try {
-            // 送信中の表示
-            submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>送信中...';
-            submitBtn.disabled = true;
-            
-            // フォームデータを収集
-            const formData = new FormData(this.form);
-            const data = Object.fromEntries(formData);
-            
-            // 実際の送信処理をシミュレート（本番環境では実際のAPIを呼び出す）
-            await this.simulateSubmit(data);
-            
-            // 成功表示
-            submitBtn.innerHTML = '<i class="fas fa-check mr-2"></i>送信完了！';
-            submitBtn.classList.add('bg-green-600');
-            
-            // フォームをリセット
-            setTimeout(() => {
-                this.form.reset();
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('bg-green-600');
-            }, 2000);
-            
-        } catch (error) {
-            // エラー表示
-            submitBtn.innerHTML = '<i class="fas fa-exclamation-triangle mr-2"></i>送信エラー';
-            submitBtn.classList.add('bg-red-600');
-            
-            setTimeout(() => {
-                submitBtn.innerHTML = originalText;
-                submitBtn.disabled = false;
-                submitBtn.classList.remove('bg-red-600');
-            }, 2000);
-        }
+    // 読み込み時の位置の復元（以降はスクロールに合わせてURLハッシュを更新する）
+    restorePosition() {
+        this.scrollToHash('auto');
+        this.isRestoring = false;
     }
 
-    simulateSubmit(data) {
-        return new Promise((resolve) => {
-            console.log('Form data:', data);
-            setTimeout(resolve, 2000);
-        });
+    /**
+     * URLハッシュが指す要素のID（#menu?category=tea や #gallery/<slug> は menu・gallery）
+     * @param {string} hash - URLハッシュ
+     * @returns {string}
+     */
+    static getSectionId(hash) {
+        return hash.replace(/^#/, '').split(/[?/]/)[0];
     }
 }
 
-// アクセシビリティ機能
-class Accessibility {
+// 営業状況表示（営業中・定休日・次の開店時刻）
+class OpenStatus {
     constructor() {
+        this.elements = document.querySelectorAll('[data-open-status]');
+        this.exceptionList = document.getElementById('hours-exceptions');
         this.init();
     }
 
     init() {
-        // フォーカストラップの設定
-        this.setupFocusTrap();
-        
-        // スキップリンクの追加
-        this.addSkipLink();
-        
-        // キーボードナビゲーションの改善
-        this.improveKeyboardNavigation();
-    }
-
-    setupFocusTrap() {
-        const mobileMenu = document.getElementById('mobile-menu');
-        if (!mobileMenu) return;
+        if (typeof OpeningHours === 'undefined') return;
         
-        // モバイルメニューが開いているときのフォーカストラップ
-        const focusableElements = mobileMenu.querySelectorAll(
-            'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-        );
+        this.renderExceptions();
         
-        if (focusableElements.length === 0) return;
+        if (!this.elements.length) return;
         
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+        this.update();
         
-        mobileMenu.addEventListener('keydown', (e) => {
-            if (e.key !== 'Tab') return;
-            
-            if (e.shiftKey) {
-                if (document.activeElement === firstElement) {
-                    lastElement.focus();
-                    e.preventDefault();
-                }
-            } else {
-                if (document.activeElement === lastElement) {
-                    firstElement.focus();
-                    e.preventDefault();
-                }
-            }
+        // 表示言語の切り替えに合わせて再表示
+        document.addEventListener('localechange', () => {
+            this.renderExceptions();
+            this.update();
         });
-    }
-
-    addSkipLink() {
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main-content';
-        skipLink.className = 'sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 bg-stone-800 text-white px-4 py-2 rounded';
-        skipLink.textContent = 'メインコンテンツへスキップ';
         
-        document.body.insertBefore(skipLink, document.body.firstChild);
+        // 分の切り替わりに合わせて1分ごとに更新
+        setTimeout(() => {
+            this.update();
+            setInterval(() => this.update(), 60 * 1000);
+        }, (60 - new Date().getSeconds()) * 1000);
     }
 
-    improveKeyboardNavigation() {
-        // メニューカードにtabindexを追加
-        document.querySelectorAll('.menu-card').forEach(card => {
-            card.setAttribute('tabindex', '0');
-            card.setAttribute('role', 'article');
-        });
+    update() {
+        const status = OpeningHours.getStatus();
         
-        // ギャラリー画像にキーボードアクセシビリティを追加
-        document.querySelectorAll('#gallery .group').forEach(item => {
-            item.setAttribute('tabindex', '0');
-            item.setAttribute('role', 'img');
+        this.elements.forEach(element => {
+            const isDetailed = element.dataset.openStatus === 'detailed';
+            const label = element.querySelector('.open-status-label') || element;
             
-            const img = item.querySelector('img');
-            if (img && img.alt) {
-                item.setAttribute('aria-label', img.alt);
-            }
+            element.dataset.state = status.isOpen ? 'open' : 'closed';
+            label.textContent = OpenStatus.formatStatus(status, isDetailed);
         });
     }
-}
 
-// レスポンシブ制御クラス
-class ResponsiveController {
-    constructor() {
-        this.mobileMenuBtn = document.getElementById('mobile-menu-btn');
-        this.mobileMenu = document.getElementById('mobile-menu');
-        this.desktopMenu = document.getElementById('desktop-menu');
-        this.currentBreakpoint = this.getCurrentBreakpoint();
+    renderExceptions() {
+        if (!this.exceptionList) return;
         
-        this.init();
+        const exceptions = OpeningHours.getUpcomingExceptions(60);
+        this.exceptionList.replaceChildren(...exceptions.map(exception => {
+            const period = exception.from === exception.to
+                ? OpenStatus.formatDate(exception.from)
+                : I18n.t('status.period', {
+                    from: OpenStatus.formatDate(exception.from),
+                    to: OpenStatus.formatDate(exception.to)
+                });
+            const hours = exception.hours
+                ? ` ${OpenStatus.formatTime(exception.hours.opens)} - ${OpenStatus.formatTime(exception.hours.closes)}`
+                : '';
+            return Utils.createElement('li', '', `${period}${hours} ${I18n.pick(exception.note)}`);
+        }));
+        this.exceptionList.classList.toggle('hidden', !exceptions.length);
     }
 
-    init() {
-        // 初期実行
-        this.updateNavigation();
-        
-        // リサイズ時の実行（デバウンス付き）
-        window.addEventListener('resize', Utils.debounce(() => {
-            const newBreakpoint = this.getCurrentBreakpoint();
-            if (newBreakpoint !== this.currentBreakpoint) {
-                this.currentBreakpoint = newBreakpoint;
-                this.updateNavigation();
-            }
-        }, 150));
+    /**
+     * 営業状況を表示用の文言に整形
+     * @param {Object} status - OpeningHours.getStatus() の結果
+     * @param {boolean} [detailed] - 休業日に次の開店日時も表示するか
+     * @returns {string} 例: 営業中 · 20:00まで / 本日定休日 / 明日 8:00 開店
+     */
+    static formatStatus(status, detailed = false) {
+        if (status.isOpen) {
+            return I18n.t('status.openUntil', { time: OpenStatus.formatTime(status.closes) });
+        }
         
-        // PC表示での強制制御
-        if (this.currentBreakpoint === 'desktop') {
-            this.forceDesktopLayout();
+        if (status.closedToday) {
+            const label = I18n.t(status.exception ? 'status.closedTodayException' : 'status.closedToday');
+            return detailed && status.next ? `${label} · ${OpenStatus.formatNext(status.next)}` : label;
         }
+        
+        return status.next ? OpenStatus.formatNext(status.next) : I18n.t('status.closed');
     }
 
-    getCurrentBreakpoint() {
-        return window.innerWidth < CONFIG.MOBILE_BREAKPOINT ? 'mobile' : 'desktop';
+    static formatNext({ date, opens, daysAhead }) {
+        const day = ['status.today', 'status.tomorrow'].map(key => I18n.t(key))[daysAhead]
+            || OpenStatus.formatDate(date);
+        return I18n.t('status.opensAt', { day, time: OpenStatus.formatTime(opens) });
     }
 
-    updateNavigation() {
-        const isMobile = this.currentBreakpoint === 'mobile';
-        
-        if (isMobile) {
-            // モバイル表示
-            this.showMobileMenu();
-            this.hideDesktopMenu();
+    // 2026-12-29 → 12/29(火) / Tue, 12/29
+    static formatDate(date) {
+        return I18n.formatDate(date, { month: 'numeric', day: 'numeric', weekday: 'short' });
+    }
+
+    // 08:00 → 8:00
+    static formatTime(time) {
+        return time.replace(/^0/, '');
+    }
+}
+
+// フォーム送信エラー
+class SubmissionError extends Error {
+    /**
+     * @param {string} message - エラーメッセージ
+     * @param {Object} [options]
+     * @param {number} [options.status] - HTTPステータス（ネットワークエラー時は0）
+     * @param {Object} [options.fieldErrors] - フィールド名をキーとしたエラーメッセージ
+     */
+    constructor(message, { status = 0, fieldErrors = {} } = {}) {
+        super(message);
+        this.name = 'SubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+    }
+
+    get isNetworkError() {
+        return this.status === 0;
+    }
+
+    // 時間をおいて再送すれば成功する可能性があるエラーか
+    get isRetryable() {
+        return this.isNetworkError || this.status >= 500;
+    }
+}
+
+// フォーム送信トランスポート（エンドポイントへJSONでPOST）
+class JsonTransport {
+    constructor(endpoint = CONFIG.FORM_ENDPOINT, { timeout = CONFIG.FORM_TIMEOUT } = {}) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
+
+    /**
+     * データを送信する
+     * @param {Object} data - 送信データ
+     * @returns {Promise<Object>} サーバーのレスポンス本文
+     * @throws {SubmissionError} 送信に失敗した場合
+     */
+    async send(data) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new SubmissionError(I18n.t('form.networkError'));
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const body = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new SubmissionError(body.message || `HTTP ${response.status}`, {
+                status: response.status,
+                fieldErrors: body.errors || {}
+            });
+        }
+
+        return body;
+    }
+}
+
+// フォームのスパム対策（ハニーポットはHTML側、ここでは入力時間・操作回数・プルーフオブワーク）
+// 利用者に追加の操作は求めず、入力中に裏でプルーフオブワークを解いておく
+class FormProtection {
+    /**
+     * @param {HTMLFormElement} form - 対象のフォーム
+     */
+    constructor(form) {
+        this.form = form;
+        this.startedAt = null;
+        this.interactions = 0;
+        this.pendingProof = null;
+        this.init();
+    }
+
+    init() {
+        if (typeof FormGuard === 'undefined') return;
+        
+        ['keydown', 'pointerdown', 'input'].forEach(type => {
+            this.form.addEventListener(type, () => this.recordInteraction(), { passive: true });
+        });
+        
+        // キーボードでフォームに移動した時点から解き始める
+        this.form.addEventListener('focusin', () => this.prepare());
+    }
+
+    recordInteraction() {
+        this.interactions++;
+        this.prepare();
+    }
+
+    // 入力開始時刻を記録し、プルーフオブワークを解き始める
+    prepare() {
+        if (this.startedAt === null) {
+            this.startedAt = Date.now();
+        }
+        if (!this.pendingProof && navigator.onLine) {
+            const proof = FormGuard.createProof();
+            this.pendingProof = proof;
+            
+            // 取得できなければ、次の送信時（オフラインで保存した場合は再送時）に取得し直す
+            proof.catch(() => {
+                if (this.pendingProof === proof) this.pendingProof = null;
+            });
+        }
+    }
+
+    /**
+     * 送信データに入力時間・操作回数を追加する
+     * @param {Object} data - 送信データ
+     * @returns {Object}
+     */
+    measure(data) {
+        if (typeof FormGuard === 'undefined') return data;
+        
+        this.prepare();
+        return {
+            ...data,
+            fillTime: Date.now() - this.startedAt,
+            interactions: this.interactions
+        };
+    }
+
+    /**
+     * 送信データにプルーフオブワークのトークンと解を追加する
+     * オフラインなどでトークンを取得していない場合はそのまま返す（再送時に取得する）
+     * @param {Object} data - 送信データ
+     * @returns {Promise<Object>}
+     * @throws {SubmissionError} トークンの取得が接続の問題で失敗・時間切れになった場合（再送できるエラー）
+     */
+    async apply(data) {
+        if (typeof FormGuard === 'undefined') return data;
+        
+        this.prepare();
+        if (!this.pendingProof) return data;
+        
+        try {
+            return { ...data, ...await this.pendingProof };
+        } catch (error) {
+            if (error.isNetworkError) {
+                throw new SubmissionError(I18n.t('form.networkError'));
+            }
+            return data;
+        }
+    }
+
+    // 受け付けられたトークンは再利用できないため、次の入力に備えてリセットする
+    reset() {
+        this.startedAt = null;
+        this.interactions = 0;
+        this.pendingProof = null;
+    }
+}
+
+// 入力途中の内容の下書き（ページを離れても入力内容を失わないよう localStorage に保存）
+class FormDraft {
+    /**
+     * @param {HTMLFormElement} form - 対象のフォーム
+     */
+    constructor(form) {
+        this.form = form;
+        this.prompt = document.getElementById('form-draft-prompt');
+        this.pendingDraft = null;
+        this.isDirty = false;
+        this.save = Utils.debounce(() => this.saveNow(), CONFIG.DRAFT_SAVE_DELAY);
+        this.init();
+    }
+
+    init() {
+        ['input', 'change'].forEach(type => {
+            this.form.addEventListener(type, () => this.handleInput());
+        });
+        
+        // 保存の待機中にページを離れた場合も保存する
+        window.addEventListener('pagehide', () => this.saveNow());
+        
+        if (this.prompt) {
+            this.prompt.querySelector('[data-draft-action="restore"]').addEventListener('click', () => this.restore());
+            this.prompt.querySelector('[data-draft-action="discard"]').addEventListener('click', () => this.discard());
+        }
+        
+        this.offerRestore();
+    }
+
+    /**
+     * 下書きに保存する入力欄か
+     * パスワード・カード番号などの機密情報と、data-draft="off" の入力欄（自動送信対策など）は保存しない
+     * @param {HTMLElement} field - フォームの要素
+     * @returns {boolean}
+     */
+    static isSavable(field) {
+        if (!field.name || !field.matches('input, select, textarea')) return false;
+        if (field.dataset.draft === 'off') return false;
+        if (['password', 'hidden', 'file', 'checkbox', 'radio', 'submit', 'button', 'reset', 'image'].includes(field.type)) return false;
+        
+        const autocomplete = (field.getAttribute('autocomplete') || '').split(/\s+/).pop();
+        return !/^(current-password|new-password|one-time-code|cc-)/.test(autocomplete);
+    }
+
+    // 入力欄の初期値（選択肢は初期状態で選ばれている項目）
+    static getDefaultValue(field) {
+        if (field.tagName !== 'SELECT') return field.defaultValue;
+        
+        const option = [...field.options].find(item => item.defaultSelected) || field.options[0];
+        return option ? option.value : '';
+    }
+
+    get fields() {
+        return [...this.form.elements].filter(field => FormDraft.isSavable(field));
+    }
+
+    handleInput() {
+        // 復元を提案している間に入力を始めた場合は、新しい入力内容を下書きにする
+        if (this.pendingDraft) this.hidePrompt();
+        
+        this.isDirty = true;
+        this.save();
+    }
+
+    saveNow() {
+        if (!this.isDirty) return;
+        
+        const fields = this.fields;
+        if (!fields.some(field => field.value !== FormDraft.getDefaultValue(field))) {
+            LocalStore.remove(CONFIG.DRAFT_KEY);
+            return;
+        }
+        
+        LocalStore.write(CONFIG.DRAFT_KEY, JSON.stringify({
+            savedAt: Date.now(),
+            values: Object.fromEntries(fields.map(field => [field.name, field.value]))
+        }));
+    }
+
+    /**
+     * 有効期間内の下書きを読み込む（期限切れ・読み込めない下書きは削除する）
+     * @returns {{savedAt: number, values: Object}|null}
+     */
+    read() {
+        try {
+            const draft = JSON.parse(LocalStore.read(CONFIG.DRAFT_KEY));
+            if (draft && draft.values && Date.now() - draft.savedAt < CONFIG.DRAFT_TTL) {
+                return draft;
+            }
+        } catch (error) {
+            // 読み込めない下書きは削除する
+        }
+        
+        LocalStore.remove(CONFIG.DRAFT_KEY);
+        return null;
+    }
+
+    offerRestore() {
+        const draft = this.read();
+        if (!draft || !this.prompt) return;
+        
+        this.pendingDraft = draft;
+        this.prompt.classList.remove('hidden');
+    }
+
+    hidePrompt() {
+        this.pendingDraft = null;
+        this.prompt.classList.add('hidden');
+    }
+
+    restore() {
+        const { values } = this.pendingDraft;
+        this.hidePrompt();
+        this.fill(values);
+    }
+
+    /**
+     * 入力欄に値を戻す（下書きのほか、再送時に拒否された送信内容にも使う）
+     * @param {Object} values - 入力欄の name をキーとした値（保存対象外の入力欄の値は無視する）
+     */
+    fill(values) {
+        // change イベントで種別に応じた入力欄の表示などを反映する
+        this.fields.forEach(field => {
+            if (!Object.prototype.hasOwnProperty.call(values, field.name)) return;
+            
+            field.value = values[field.name];
+            field.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+        
+        this.fields[0].focus();
+    }
+
+    discard() {
+        this.hidePrompt();
+        this.clear();
+        this.fields[0].focus();
+    }
+
+    // 送信を受け付けたら下書きを削除する（待機中の保存も行わない）
+    clear() {
+        this.isDirty = false;
+        LocalStore.remove(CONFIG.DRAFT_KEY);
+    }
+}
+
+// 送信内容の控え（送信完了後にフォームと入れ替えて表示）
+class ReservationConfirmation {
+    /**
+     * @param {HTMLFormElement} form - 控えと入れ替えて隠すフォーム
+     */
+    constructor(form) {
+        this.form = form;
+        this.container = document.getElementById('form-confirmation');
+        this.submission = null;
+        this.calendarUrl = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.container) return;
+        
+        this.title = this.container.querySelector('[data-confirmation-title]');
+        this.lead = this.container.querySelector('[data-confirmation-lead]');
+        this.reference = this.container.querySelector('[data-confirmation-reference]');
+        this.details = this.container.querySelector('[data-confirmation-details]');
+        this.calendarLink = this.container.querySelector('[data-confirmation-action="calendar"]');
+        this.emailLink = this.container.querySelector('[data-confirmation-action="email"]');
+        
+        this.container.querySelector('[data-confirmation-action="print"]').addEventListener('click', () => this.print());
+        this.container.querySelector('[data-confirmation-action="new"]').addEventListener('click', () => this.close());
+        
+        // 印刷が終わったらページ全体の印刷に戻す
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-confirmation');
+        });
+        
+        // 控えの文面・カレンダーファイルを切り替えた言語で作り直す
+        document.addEventListener('localechange', () => {
+            if (this.submission) this.render();
+        });
+    }
+
+    /**
+     * 送信内容の控えを表示する
+     * @param {Object} data - 送信したデータ
+     * @param {{id: string, reference?: string}} result - サーバーの応答
+     * @returns {boolean} 表示したか（控えの要素がない場合は false）
+     */
+    show(data, result) {
+        if (!this.container) return false;
+        
+        this.submission = { data, id: result.id, reference: result.reference || result.id };
+        this.render();
+        
+        this.form.classList.add('hidden');
+        this.container.classList.remove('hidden');
+        
+        // 見出しにフォーカスを移して、送信が完了したことを読み上げる
+        this.title.focus();
+        return true;
+    }
+
+    // 控えを閉じてフォームに戻る
+    close() {
+        this.revokeCalendar();
+        this.submission = null;
+        this.container.classList.add('hidden');
+        this.form.classList.remove('hidden');
+        this.form.querySelector('input, select, textarea').focus();
+    }
+
+    // 日時を指定した予約か（カレンダーに追加できるか）
+    get isReservation() {
+        const { data } = this.submission;
+        return data.inquiryType === 'reservation' && Boolean(data.date && data.time);
+    }
+
+    render() {
+        const type = this.isReservation ? 'reservation' : 'inquiry';
+        
+        this.title.textContent = I18n.t(`confirmation.${type}Heading`);
+        this.lead.textContent = I18n.t(`confirmation.${type}Lead`);
+        this.reference.textContent = this.submission.reference;
+        this.details.replaceChildren(...this.getDetails().flatMap(([label, value]) => [
+            Utils.createElement('dt', null, label),
+            Utils.createElement('dd', null, value)
+        ]));
+        
+        this.emailLink.href = this.createMailto();
+        this.renderCalendar();
+    }
+
+    /**
+     * 控えに載せる項目
+     * @returns {Array<Array<string>>} 項目名と値の組
+     */
+    getDetails() {
+        const { data } = this.submission;
+        const details = [
+            [I18n.t('form.name'), data.name],
+            [I18n.t('form.email'), data.email],
+            [I18n.t('form.inquiryType'), I18n.t(`form.inquiryTypes.${data.inquiryType}`)]
+        ];
+        
+        if (this.isReservation) {
+            details.push(
+                [I18n.t('form.date'), ReservationConfirmation.formatDate(data.date)],
+                [I18n.t('form.time'), OpenStatus.formatTime(data.time)],
+                [I18n.t('form.partySize'), I18n.t('confirmation.partySizeValue', { count: data.partySize })]
+            );
+        }
+        
+        details.push([I18n.t('form.message'), data.message]);
+        return details;
+    }
+
+    /**
+     * メール本文・カレンダーの説明に使う控えの文面
+     * @returns {string}
+     */
+    createSummary() {
+        return [
+            this.title.textContent,
+            `${I18n.t('confirmation.reference')}: ${this.submission.reference}`,
+            '',
+            ...this.getDetails().map(([label, value]) => `${label}: ${value}`),
+            '',
+            BusinessProfile.name,
+            ReservationConfirmation.getAddress(),
+            `TEL ${BusinessProfile.telephone.display}`,
+            BusinessProfile.url
+        ].join('\n');
+    }
+
+    // 送信者自身に宛てた控えのメール（メールアプリで開く）
+    createMailto() {
+        const subject = I18n.t('confirmation.emailSubject', {
+            name: BusinessProfile.name,
+            reference: this.submission.reference
+        });
+        const body = this.createSummary().replace(/\n/g, '\r\n');
+        
+        return `mailto:${encodeURIComponent(this.submission.data.email)}`
+            + `?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+    }
+
+    // 予約の日時でカレンダーファイル（.ics）を作成してリンクに設定
+    renderCalendar() {
+        this.revokeCalendar();
+        this.calendarLink.classList.toggle('hidden', !this.isReservation);
+        if (!this.isReservation) return;
+        
+        const { data, id, reference } = this.submission;
+        const start = CalendarFile.toDate(data.date, data.time, OpeningHours.TIMEZONE);
+        const content = CalendarFile.createEvent({
+            uid: `${id}@${new URL(BusinessProfile.url).hostname}`,
+            start,
+            end: new Date(start.getTime() + CONFIG.RESERVATION_DURATION * 60 * 1000),
+            summary: I18n.t('confirmation.eventTitle', { name: BusinessProfile.name }),
+            description: this.createSummary(),
+            location: `${BusinessProfile.name}, ${ReservationConfirmation.getAddress()}`,
+            url: BusinessProfile.url,
+            alarm: {
+                minutes: CONFIG.RESERVATION_REMINDER,
+                description: I18n.t('confirmation.alarm', { name: BusinessProfile.name })
+            }
+        });
+        
+        this.calendarUrl = URL.createObjectURL(new Blob([content], { type: CalendarFile.MIME_TYPE }));
+        this.calendarLink.href = this.calendarUrl;
+        this.calendarLink.download = `cafe-serenity-${reference}.ics`;
+    }
+
+    revokeCalendar() {
+        if (!this.calendarUrl) return;
+        
+        URL.revokeObjectURL(this.calendarUrl);
+        this.calendarUrl = null;
+        this.calendarLink.removeAttribute('href');
+    }
+
+    // 控えの部分だけを印刷する（css/main.css の印刷用スタイル）
+    print() {
+        document.body.classList.add('printing-confirmation');
+        window.print();
+    }
+
+    // 2026-10-20 → 2026年10月20日(火) / Tue, October 20, 2026
+    static formatDate(date) {
+        return I18n.formatDate(date, { year: 'numeric', month: 'long', day: 'numeric', weekday: 'short' });
+    }
+
+    // 〒150-0002 東京都渋谷区◯◯◯ 1-2-3
+    static getAddress() {
+        return `〒${BusinessProfile.address.postalCode} ${BusinessProfile.getFullAddress()}`;
+    }
+}
+
+// フォーム管理
+class ContactForm {
+    /**
+     * @param {Object} [options]
+     * @param {{send: Function}} [options.transport] - 送信トランスポート（既定: JsonTransport）
+     */
+    constructor({ transport } = {}) {
+        this.form = document.getElementById('contact-form');
+        this.statusElement = document.getElementById('form-status');
+        this.errorSummary = document.getElementById('form-error-summary');
+        this.announcer = document.getElementById('form-announcer');
+        this.isFlushing = false;
+        this.reservationFields = document.getElementById('reservation-fields');
+        this.transport = transport || new JsonTransport(
+            (this.form && this.form.dataset.endpoint) || CONFIG.FORM_ENDPOINT
+        );
+        this.protection = this.form ? new FormProtection(this.form) : null;
+        this.confirmation = this.form ? new ReservationConfirmation(this.form) : null;
+        this.draft = this.form ? new FormDraft(this.form) : null;
+        this.rejectedPrompt = document.getElementById('form-rejected-prompt');
+        this.pendingRejected = null;
+        this.hasStarted = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+        
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        // 入力を始めたことを通知（下書きの復元は change イベントのため数えない）
+        this.form.addEventListener('input', () => {
+            if (this.hasStarted) return;
+            this.hasStarted = true;
+            this.dispatchStep('start');
+        });
+        
+        // リアルタイムバリデーション
+        this.form.querySelectorAll('input, textarea').forEach(field => {
+            field.addEventListener('blur', () => this.validateField(field));
+        });
+        
+        this.initReservationFields();
+        this.initOfflineQueue();
+        
+        // 表示中のエラーメッセージを切り替えた言語で出し直す
+        document.addEventListener('localechange', () => {
+            this.form.querySelectorAll('.border-red-500').forEach(field => this.validateField(field));
+            this.updateErrorSummary();
+        });
+    }
+
+    initOfflineQueue() {
+        if (typeof FormQueue === 'undefined' || !FormQueue.isSupported()) return;
+        
+        // Service Workerのバックグラウンド同期の結果を受け取る
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (event) => {
+                if (event.data && event.data.type === 'FORM_SYNC_RESULT') {
+                    this.showSyncResult(event.data);
+                }
+            });
+        }
+        
+        // オンライン復帰時・ページを開いたときはページからも再送する
+        // （Background Sync 非対応のブラウザや、再送の予約に失敗した場合のため。Service Worker と同時に再送しても FormQueue.claim で1回だけ送られる）
+        window.addEventListener('online', () => this.flushQueue());
+        if (navigator.onLine) {
+            this.flushQueue();
+        }
+        
+        // ページを閉じている間の再送で拒否された送信も、次に開いたときに知らせる
+        if (this.rejectedPrompt) {
+            this.rejectedPrompt.querySelector('[data-rejected-action="restore"]').addEventListener('click', () => this.restoreRejected());
+            this.rejectedPrompt.querySelector('[data-rejected-action="dismiss"]').addEventListener('click', () => this.dismissRejected());
+            document.addEventListener('localechange', () => {
+                if (this.pendingRejected) this.renderRejected();
+            });
+            this.offerRejected();
+        }
+    }
+
+    // 再送時に拒否された送信があれば、入力内容をフォームに戻すか尋ねる（古いものから1件ずつ）
+    async offerRejected() {
+        if (!this.rejectedPrompt) return;
+        
+        try {
+            const [entry] = await FormQueue.getRejected();
+            this.pendingRejected = entry || null;
+        } catch (error) {
+            console.error('Failed to read rejected form data:', error);
+            this.pendingRejected = null;
+        }
+        
+        if (this.pendingRejected) this.renderRejected();
+        this.rejectedPrompt.classList.toggle('hidden', !this.pendingRejected);
+    }
+
+    // 拒否された理由（サーバーのメッセージ）を表示する
+    renderRejected() {
+        const { message } = this.pendingRejected;
+        this.rejectedPrompt.querySelector('[data-rejected-reason]').textContent = message
+            ? I18n.t('form.rejected.reason', { reason: message })
+            : '';
+    }
+
+    async restoreRejected() {
+        const entry = this.pendingRejected;
+        this.draft.fill(entry.data);
+        await this.removeRejected(entry);
+    }
+
+    async dismissRejected() {
+        await this.removeRejected(this.pendingRejected);
+    }
+
+    /**
+     * 確認済みの送信内容をキューから削除し、次の送信内容があれば続けて尋ねる
+     * @param {Object} entry - FormQueue のエントリ
+     */
+    async removeRejected(entry) {
+        try {
+            await FormQueue.remove(entry.id);
+        } catch (error) {
+            console.error('Failed to remove rejected form data:', error);
+        }
+        await this.offerRejected();
+    }
+
+    supportsBackgroundSync() {
+        return 'serviceWorker' in navigator && 'SyncManager' in window;
+    }
+
+    /**
+     * 送信内容をキューに保存し、再送を予約する
+     * @param {Object} data - 送信データ
+     * @returns {Promise<boolean>} 保存できたか
+     */
+    async queueSubmission(data) {
+        if (typeof FormQueue === 'undefined' || !FormQueue.isSupported()) return false;
+        
+        try {
+            await FormQueue.add(this.transport.endpoint || CONFIG.FORM_ENDPOINT, data);
+        } catch (error) {
+            console.error('Failed to queue form data:', error);
+            return false;
+        }
+        
+        if (!this.supportsBackgroundSync()) return true;
+        
+        // Service Workerが未登録の場合 ready は解決されないため待たない
+        // 予約に失敗した場合は、initOfflineQueue の online イベントでページから再送する
+        navigator.serviceWorker.ready
+            .then(registration => registration.sync.register(FormQueue.SYNC_TAG))
+            .catch(() => {});
+        
+        return true;
+    }
+
+    async flushQueue() {
+        // 再送中に再度呼ばれた場合の二重送信を防ぐ
+        if (this.isFlushing) return;
+        this.isFlushing = true;
+        
+        try {
+            const result = await FormQueue.flush();
+            this.showSyncResult(result);
+        } catch (error) {
+            console.error('Failed to flush form queue:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+
+    /**
+     * 保留していた送信の再送結果を表示する
+     * @param {{sent: number, rejected: number}} result - 再送結果
+     */
+    showSyncResult({ sent, rejected }) {
+        if (rejected) {
+            this.showStatus(I18n.t('form.syncRejected', { count: rejected }));
+            this.offerRejected();
+        } else if (sent) {
+            this.showStatus(I18n.t('form.syncSent', { count: sent }));
+        }
+    }
+
+    showStatus(message) {
+        if (!this.statusElement) return;
+        
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('hidden', !message);
+    }
+
+    /**
+     * 送信ボタンの状態をスクリーンリーダーに通知する
+     * @param {string} message - 通知するメッセージ
+     */
+    announce(message) {
+        if (!this.announcer) return;
+        
+        // 同じメッセージが続いても読み上げられるよう、一度空にしてから設定する
+        this.announcer.textContent = '';
+        setTimeout(() => {
+            this.announcer.textContent = message;
+        }, 100);
+    }
+
+    initReservationFields() {
+        const inquiryType = this.form.elements.namedItem('inquiryType');
+        const date = this.form.elements.namedItem('date');
+        if (!this.reservationFields || !inquiryType || !date) return;
+        
+        // 「ご予約について」選択時のみ日時・人数を表示
+        inquiryType.addEventListener('change', () => this.toggleReservationFields());
+        this.toggleReservationFields();
+        
+        // 過去の日付を選択できないようにする
+        date.min = OpeningHours.now().date;
+        
+        // 日付に合わせて時刻の選択範囲を更新し、入力済みの時刻を再検証
+        date.addEventListener('change', () => {
+            const time = this.form.elements.namedItem('time');
+            const range = OpeningHours.getReservationWindow(date.value);
+            time.min = range ? range.from : '';
+            time.max = range ? range.to : '';
+            
+            if (time.value) {
+                this.validateField(time);
+            }
+        });
+    }
+
+    toggleReservationFields() {
+        if (!this.reservationFields) return;
+        
+        const isReservation = this.form.elements.namedItem('inquiryType').value === 'reservation';
+        
+        // 非表示のフィールドは無効化してバリデーションと送信の対象から外す
+        this.reservationFields.classList.toggle('hidden', !isReservation);
+        this.reservationFields.disabled = !isReservation;
+        
+        if (!isReservation) {
+            this.reservationFields.querySelectorAll('input').forEach(field => this.clearError(field));
+        }
+    }
+
+    validateField(field) {
+        // 無効化されたフィールドセット内のフィールドも対象外
+        if (field.matches(':disabled')) return true;
+        
+        const value = field.value.trim();
+        const isRequired = field.hasAttribute('required');
+        
+        if (isRequired && !value) {
+            this.showError(field, I18n.t('form.errors.required'));
+            return false;
+        }
+        
+        if (field.type === 'email' && value) {
+            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+            if (!emailRegex.test(value)) {
+                this.showError(field, I18n.t('form.errors.email'));
+                return false;
+            }
+        }
+        
+        if (field.type === 'number' && value) {
+            const number = Number(value);
+            const min = field.min === '' ? -Infinity : Number(field.min);
+            const max = field.max === '' ? Infinity : Number(field.max);
+            if (!Number.isInteger(number) || number < min || number > max) {
+                this.showError(field, I18n.t('form.errors.range', { min: field.min, max: field.max }));
+                return false;
+            }
+        }
+        
+        if ((field.name === 'date' || field.name === 'time') && value) {
+            const message = this.getSlotError(field);
+            if (message) {
+                this.showError(field, message);
+                return false;
+            }
+        }
+        
+        this.clearError(field);
+        return true;
+    }
+
+    /**
+     * 予約日時を営業時間と照合する
+     * @param {HTMLInputElement} field - 日付または時刻フィールド
+     * @returns {string|null} エラーメッセージ、問題がなければ null
+     */
+    getSlotError(field) {
+        const date = this.form.elements.namedItem('date').value;
+        
+        if (field.name === 'date') {
+            switch (OpeningHours.checkSlot(date)) {
+                case 'invalid':
+                    return I18n.t('form.errors.invalidDate');
+                case 'past':
+                    return I18n.t('form.errors.pastDate');
+                case 'closed':
+                    return I18n.t('form.errors.closed');
+                default:
+                    return null;
+            }
+        }
+        
+        // 日付が未確定の場合、時刻は日付側のエラーとして扱う
+        if (OpeningHours.checkSlot(date) !== null) return null;
+        
+        const range = OpeningHours.getReservationWindow(date);
+        switch (OpeningHours.checkSlot(date, field.value)) {
+            case 'invalid':
+                return I18n.t('form.errors.invalidTime');
+            case 'past':
+                return I18n.t('form.errors.pastTime');
+            case 'outside-hours':
+                return I18n.t('form.errors.outsideHours', range);
+            default:
+                return null;
+        }
+    }
+
+    showError(field, message) {
+        const errorId = `${field.id}-error`;
+        const errorElement = field.parentElement.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.textContent = message;
+        } else {
+            const error = document.createElement('p');
+            error.id = errorId;
+            error.className = 'error-message text-red-600 text-sm mt-1';
+            error.textContent = message;
+            field.parentElement.appendChild(error);
+        }
+        field.classList.add('border-red-500');
+        
+        // エラーをフィールドに関連付け、フォーカス時に読み上げられるようにする
+        field.setAttribute('aria-invalid', 'true');
+        ContactForm.toggleDescribedBy(field, errorId, true);
+    }
+
+    clearError(field) {
+        const errorElement = field.parentElement.querySelector('.error-message');
+        if (errorElement) {
+            errorElement.remove();
+        }
+        field.classList.remove('border-red-500');
+        field.removeAttribute('aria-invalid');
+        ContactForm.toggleDescribedBy(field, `${field.id}-error`, false);
+        
+        // 一覧を表示中であれば、修正されたフィールドを一覧から外す
+        if (this.errorSummary && !this.errorSummary.classList.contains('hidden')) {
+            this.updateErrorSummary();
+        }
+    }
+
+    /**
+     * aria-describedby のIDを追加・削除する（ヒントなど既存の関連付けは残す）
+     * @param {HTMLElement} field - フィールド
+     * @param {string} id - 説明する要素のID
+     * @param {boolean} add - 追加するか
+     */
+    static toggleDescribedBy(field, id, add) {
+        const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id);
+        if (add) ids.push(id);
+        
+        if (ids.length) {
+            field.setAttribute('aria-describedby', ids.join(' '));
         } else {
-            // PC表示
-            this.hideMobileMenu();
-            this.showDesktopMenu();
-            this.closeMobileMenu();
+            field.removeAttribute('aria-describedby');
         }
+    }
+
+    /**
+     * 入力エラーの一覧を表示し、件数を通知して最初のエラーのフィールドにフォーカスする
+     */
+    reportErrors() {
+        const invalidFields = this.updateErrorSummary();
+        if (!invalidFields.length) return;
+        
+        this.announce(I18n.t('form.errors.count', { count: invalidFields.length }));
+        invalidFields[0].focus();
+    }
+
+    /**
+     * 入力エラーの一覧を現在のエラーに合わせて更新する（エラーがなければ隠す）
+     * @returns {Array<HTMLElement>} エラーのあるフィールド
+     */
+    updateErrorSummary() {
+        if (!this.form) return [];
+        
+        const invalidFields = [...this.form.querySelectorAll('[aria-invalid="true"]')];
+        if (!this.errorSummary) return invalidFields;
+        
+        const items = invalidFields.map(field => {
+            const label = this.form.querySelector(`label[for="${field.id}"]`);
+            const error = document.getElementById(`${field.id}-error`);
+            const link = Utils.createElement('a', null, [
+                label ? label.textContent.replace('*', '').trim() : field.name,
+                error ? error.textContent : ''
+            ].filter(Boolean).join(': '));
+            
+            link.href = `#${field.id}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                field.focus();
+            });
+            
+            const item = document.createElement('li');
+            item.appendChild(link);
+            return item;
+        });
+        
+        this.errorSummary.querySelector('ul').replaceChildren(...items);
+        this.errorSummary.classList.toggle('hidden', !items.length);
+        return invalidFields;
+    }
+
+    /**
+     * サーバーから返されたフィールドエラーを各フィールドに表示する
+     * @param {Object} fieldErrors - フィールド名をキーとしたエラーメッセージ
+     * @returns {boolean} 表示できたエラーがあるか
+     */
+    showFieldErrors(fieldErrors) {
+        let shown = false;
+        
+        Object.entries(fieldErrors).forEach(([name, message]) => {
+            const field = this.form.elements.namedItem(name);
+            if (field) {
+                this.showError(field, message);
+                shown = true;
+            }
+        });
+        
+        return shown;
+    }
+
+    /**
+     * フォームの入力段階を formstep イベントで通知する（Analytics）
+     * @param {string} step - 'start' | 'submit' | 'invalid' | 'sent' | 'queued' | 'failed'
+     */
+    dispatchStep(step) {
+        // 送信または保存した後は、次の入力を新しい入力として数える
+        if (step === 'sent' || step === 'queued') {
+            this.hasStarted = false;
+        }
+        document.dispatchEvent(new CustomEvent('formstep', { detail: { step } }));
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        this.dispatchStep('submit');
+        
+        // 全フィールドのバリデーション
+        const fields = this.form.querySelectorAll('input, textarea');
+        let isValid = true;
+        
+        fields.forEach(field => {
+            if (!this.validateField(field)) {
+                isValid = false;
+            }
+        });
+        
+        if (!isValid) {
+            this.reportErrors();
+            this.dispatchStep('invalid');
+            return;
+        }
+        
+        // 送信処理
+        const submitBtn = this.form.querySelector('button[type="submit"]');
+        
+        // フォームデータを収集（サーバーのエラーメッセージを表示言語で返してもらう）
+        const formData = new FormData(this.form);
+        let data = Object.fromEntries(formData);
+        data.locale = I18n.locale;
+        
+        this.showStatus('');
+        
+        try {
+            // 送信中の表示
+            submitBtn.innerHTML = `<i class="fas fa-spinner fa-spin mr-2"></i>${I18n.t('form.sending')}`;
+            submitBtn.disabled = true;
+            this.announce(I18n.t('form.sending'));
+            
+            // 入力時間などを付ける（保存して再送する場合も使う）
+            data = this.protection.measure(data);
+        
+            // スパム対策のトークンを付ける（取得できないほど接続が不安定な場合は、オフラインと同じくキューへ）
+            data = await this.protection.apply(data);
+            
+            // オフラインの場合は送信を試みずにキューへ
+            if (!navigator.onLine) {
+                throw new SubmissionError(I18n.t('form.offline'));
+            }
+            
+            const result = await this.transport.send(data);
+            this.protection.reset();
+            this.draft.clear();
+            this.dispatchStep('sent');
+            
+            // 予約が確定したら通知の受け取りを提案する（PushNotifications）
+            if (data.inquiryType === 'reservation' && result && result.id) {
+                document.dispatchEvent(new CustomEvent('reservationsubmitted', { detail: { id: result.id } }));
+            }
+            
+            // 成功表示
+            submitBtn.innerHTML = `<i class="fas fa-check mr-2"></i>${I18n.t('form.sent')}`;
+            submitBtn.classList.add('bg-green-600');
+            
+            // 送信内容の控えをフォームと入れ替えて表示（控えの見出しが読み上げられる）
+            if (!(result && result.id && this.confirmation.show(data, result))) {
+                this.announce(I18n.t('form.sent'));
+            }
+            
+            // フォームをリセット
+            setTimeout(() => {
+                this.form.reset();
+                this.toggleReservationFields();
+                submitBtn.textContent = I18n.t('form.submit');
+                submitBtn.disabled = false;
+                submitBtn.classList.remove('bg-green-600');
+            }, 2000);
+            
+        } catch (error) {
+            // 接続の問題であれば端末に保存して後で再送
+            if (error instanceof SubmissionError && error.isRetryable && await this.queueSubmission(data)) {
+                // 保存した内容は再送されるため、下書きは不要
+                this.draft.clear();
+                this.dispatchStep('queued');
+                submitBtn.innerHTML = `<i class="fas fa-clock mr-2"></i>${I18n.t('form.queued')}`;
+                this.showStatus(I18n.t('form.queuedNotice'));
+                this.announce(I18n.t('form.queued'));
+                
+                setTimeout(() => {
+                    this.form.reset();
+                    this.toggleReservationFields();
+                    submitBtn.textContent = I18n.t('form.submit');
+                    submitBtn.disabled = false;
+                }, 2000);
+                return;
+            }
+            
+            // サーバー側のバリデーションエラーは各フィールドに表示
+            const hasFieldErrors = error instanceof SubmissionError
+                && this.showFieldErrors(error.fieldErrors);
+            
+            // 確認できなかった・回数制限などフィールド以外の理由はメッセージで伝える
+            if (!hasFieldErrors && error instanceof SubmissionError && !error.isNetworkError) {
+                this.showStatus(error.message);
+            }
+            
+            this.dispatchStep(hasFieldErrors ? 'invalid' : 'failed');
+        
+            if (hasFieldErrors) {
+                this.reportErrors();
+            } else {
+                // メッセージを表示していない理由（通信エラーなど）は通知に含める
+                const reason = error instanceof SubmissionError && error.isNetworkError ? error.message : '';
+                this.announce(reason ? I18n.t('form.failedReason', { reason }) : I18n.t('form.failed'));
+            }
+            
+            // エラー表示
+            submitBtn.innerHTML = hasFieldErrors
+                ? `<i class="fas fa-exclamation-triangle mr-2"></i>${I18n.t('form.checkInput')}`
+                : `<i class="fas fa-exclamation-triangle mr-2"></i>${I18n.t('form.failed')}`;
+            submitBtn.classList.add('bg-red-600');
+            
+            setTimeout(() => {
+                submitBtn.textContent = I18n.t('form.submit');
+                submitBtn.disabled = false;
+                submitBtn.classList.remove('bg-red-600');
+            }, 2000);
+        }
+    }
+}
+
+// アクセシビリティ機能
+class Accessibility {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        // フォーカストラップの設定
+        this.setupFocusTrap();
+        
+        // スキップリンクの追加
+        this.addSkipLink();
         
-        // PC表示での確実な表示制御
-        if (!isMobile) {
-            // デスクトップメニューを強制的に表示
-            if (this.desktopMenu) {
-                this.desktopMenu.style.display = 'flex';
-                this.desktopMenu.style.visibility = 'visible';
-                this.desktopMenu.style.opacity = '1';
-                this.desktopMenu.classList.remove('hidden');
+        // キーボードナビゲーションの改善
+        this.improveKeyboardNavigation();
+    }
+
+    setupFocusTrap() {
+        const mobileMenu = document.getElementById('mobile-menu');
+        if (!mobileMenu) return;
+        
+        // モバイルメニューが開いているときのフォーカストラップ
+        const focusableElements = mobileMenu.querySelectorAll(
+            'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
+        );
+        
+        if (focusableElements.length === 0) return;
+        
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+        
+        mobileMenu.addEventListener('keydown', (e) => {
+            if (e.key !== 'Tab') return;
+            
+            if (e.shiftKey) {
+                if (document.activeElement === firstElement) {
+                    lastElement.focus();
+                    e.preventDefault();
+                }
+            } else {
+                if (document.activeElement === lastElement) {
+                    firstElement.focus();
+                    e.preventDefault();
+                }
             }
+        });
+    }
+
+    addSkipLink() {
+        const skipLink = document.createElement('a');
+        skipLink.href = '#main-content';
+        skipLink.className = 'sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 bg-stone-800 text-white px-4 py-2 rounded';
+        skipLink.dataset.i18n = 'skipLink';
+        skipLink.textContent = I18n.t('skipLink');
+        
+        document.body.insertBefore(skipLink, document.body.firstChild);
+    }
+
+    improveKeyboardNavigation() {
+        // メニューカードにtabindexを追加
+        document.querySelectorAll('.menu-card').forEach(card => {
+            card.setAttribute('tabindex', '0');
+            card.setAttribute('role', 'article');
+        });
+        
+        // ギャラリー画像にキーボードアクセシビリティを追加（Enterでライトボックスを開く）
+        document.querySelectorAll('#gallery .group').forEach(item => {
+            item.setAttribute('tabindex', '0');
+            item.setAttribute('role', 'button');
             
-            // モバイルメニューボタンを非表示
-            if (this.mobileMenuBtn) {
-                this.mobileMenuBtn.style.display = 'none';
-                this.mobileMenuBtn.style.visibility = 'hidden';
-                this.mobileMenuBtn.style.opacity = '0';
-                this.mobileMenuBtn.classList.add('md:hidden');
+            const img = item.querySelector('img');
+            if (img && img.alt) {
+                item.setAttribute('aria-label', img.alt);
             }
-        }
+        });
+    }
+}
+
+// 画像の遅延読み込み（表示領域に近づいたらプレースホルダーを本画像に差し替える）
+class LazyImageLoader {
+    constructor() {
+        this.images = document.querySelectorAll('img[data-src]');
+        
+        this.init();
     }
 
-    showMobileMenu() {
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.classList.remove('hidden');
-            this.mobileMenuBtn.style.display = 'block';
+    init() {
+        if (this.images.length === 0) return;
+        
+        // Intersection Observer 非対応のブラウザではすぐに読み込む
+        if (!('IntersectionObserver' in window)) {
+            this.images.forEach(img => this.load(img));
+            return;
         }
+        
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.load(entry.target);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { rootMargin: CONFIG.LAZY_LOAD_MARGIN });
+        
+        this.images.forEach(img => observer.observe(img));
     }
 
-    hideMobileMenu() {
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.classList.add('hidden');
-            this.mobileMenuBtn.style.display = 'none';
+    /**
+     * 本画像に差し替え、読み込み後にぼかしを解除
+     * @param {HTMLImageElement} img - 対象の画像
+     */
+    load(img) {
+        img.addEventListener('load', () => img.classList.remove('lazy-placeholder'), { once: true });
+        
+        // <picture> 内の <source> も差し替えて、対応形式・画面幅に合った画像を選ばせる
+        const picture = img.parentElement;
+        if (picture && picture.tagName === 'PICTURE') {
+            picture.querySelectorAll('source[data-srcset]').forEach(source => {
+                source.srcset = source.dataset.srcset;
+                source.removeAttribute('data-srcset');
+            });
         }
+        
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+    }
+}
+
+// Service Workerの更新のお知らせ（待機中の新しいバージョンを利用者の同意後に有効化）
+class ServiceWorkerUpdater {
+    /**
+     * @param {ServiceWorkerRegistration} registration - 登録済みのService Worker
+     */
+    constructor(registration) {
+        this.registration = registration;
+        this.toast = document.getElementById('update-toast');
+        this.isUpdating = false;
+        this.init();
     }
 
-    showDesktopMenu() {
-        if (this.desktopMenu) {
-            this.desktopMenu.classList.remove('hidden');
-            this.desktopMenu.style.display = 'flex';
+    init() {
+        if (!this.toast) return;
+        
+        this.toast.querySelector('[data-update-action="reload"]').addEventListener('click', () => this.update());
+        this.toast.querySelector('[data-update-action="dismiss"]').addEventListener('click', () => this.hide());
+        
+        // 新しいService Workerがインストールを終えると通知される
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'UPDATE_AVAILABLE') {
+                this.waitForInstalled();
+            }
+        });
+        
+        // 同意した更新が有効になったら再読み込み（初回インストール時の制御開始では再読み込みしない）
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.isUpdating) {
+                window.location.reload();
+            }
+        });
+        
+        // 前回の訪問中にインストールされ、待機している更新
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.show();
         }
     }
 
-    hideDesktopMenu() {
-        if (this.desktopMenu) {
-            this.desktopMenu.classList.add('hidden');
-            this.desktopMenu.style.display = 'none';
+    // 通知の時点ではインストール処理中のため、待機状態になるのを待って表示する
+    waitForInstalled() {
+        const worker = this.registration.installing;
+        if (!worker) {
+            if (this.registration.waiting) this.show();
+            return;
         }
+        
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed') {
+                this.show();
+            }
+        });
+    }
+
+    show() {
+        this.toast.classList.remove('hidden');
+    }
+
+    hide() {
+        this.toast.classList.add('hidden');
     }
 
-    closeMobileMenu() {
-        if (this.mobileMenu) {
-            this.mobileMenu.classList.add('hidden');
-            this.mobileMenu.setAttribute('aria-hidden', 'true');
+    update() {
+        const waiting = this.registration.waiting;
+        if (!waiting) {
+            this.hide();
+            return;
         }
+        
+        this.isUpdating = true;
+        this.toast.querySelector('[data-update-action="reload"]').disabled = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
     }
-    
-    forceDesktopLayout() {
-        // PC表示での強制レイアウト制御
-        if (this.desktopMenu) {
-            this.desktopMenu.style.display = 'flex';
-            this.desktopMenu.style.visibility = 'visible';
-            this.desktopMenu.style.opacity = '1';
-            this.desktopMenu.classList.remove('hidden');
-            this.desktopMenu.classList.add('md:flex');
+}
+
+// プッシュ通知の購読（季節限定メニューのお知らせ・予約の確認）
+// 許可はページを開いた時点では求めず、設定のボタンか予約の送信後の提案から求める
+class PushNotifications {
+    /**
+     * @param {ServiceWorkerRegistration} registration - 登録済みのService Worker
+     */
+    constructor(registration) {
+        this.registration = registration;
+        this.panel = document.getElementById('push-preferences');
+        this.prompt = document.getElementById('push-prompt');
+        this.subscription = null;
+        this.pendingReservationId = null;
+        this.isBusy = false;
+        this.init().catch(error => console.error('Failed to initialize push notifications:', error));
+    }
+
+    static isSupported() {
+        return 'PushManager' in window && 'Notification' in window;
+    }
+
+    async init() {
+        if (!this.panel || !PushNotifications.isSupported()) return;
+        
+        this.button = this.panel.querySelector('[data-push-action="toggle"]');
+        this.statusElement = this.panel.querySelector('[data-push-status]');
+        this.topicInputs = [...this.panel.querySelectorAll('input[name="push-topic"]')];
+        
+        this.restoreTopics();
+        this.button.addEventListener('click', () => this.toggle());
+        this.topicInputs.forEach(input => {
+            input.addEventListener('change', () => this.saveTopics());
+        });
+        
+        if (this.prompt) {
+            this.prompt.querySelector('[data-push-action="accept"]').addEventListener('click', () => this.acceptOffer());
+            this.prompt.querySelector('[data-push-action="dismiss"]').addEventListener('click', () => this.dismissOffer());
         }
         
-        if (this.mobileMenuBtn) {
-            this.mobileMenuBtn.style.display = 'none';
-            this.mobileMenuBtn.style.visibility = 'hidden';
-            this.mobileMenuBtn.style.opacity = '0';
-            this.mobileMenuBtn.classList.add('md:hidden');
+        document.addEventListener('reservationsubmitted', (event) => this.handleReservation(event.detail.id));
+        
+        // 通知の文面を表示言語で送れるよう、切り替えた言語をサーバーにも伝える
+        document.addEventListener('localechange', () => {
+            this.render();
+            if (this.subscription) {
+                this.save().catch(error => console.error('Failed to update push subscription:', error));
+            }
+        });
+        
+        this.subscription = await this.registration.pushManager.getSubscription();
+        this.panel.classList.remove('hidden');
+        this.render();
+    }
+
+    get topics() {
+        return this.topicInputs.filter(input => input.checked).map(input => input.value);
+    }
+
+    restoreTopics() {
+        const stored = LocalStore.read(CONFIG.PUSH_TOPICS_KEY);
+        if (stored === null) return;
+        
+        const topics = stored.split(',');
+        this.topicInputs.forEach(input => {
+            input.checked = topics.includes(input.value);
+        });
+    }
+
+    render() {
+        const isBlocked = Notification.permission === 'denied';
+        
+        this.button.querySelector('[data-push-label]').textContent = I18n.t(this.subscription ? 'push.disable' : 'push.enable');
+        this.button.disabled = isBlocked || this.isBusy;
+        
+        if (isBlocked) {
+            this.showStatus(I18n.t('push.blocked'));
+        } else {
+            this.showStatus(this.subscription ? I18n.t('push.enabled') : '');
         }
+    }
+
+    showStatus(message) {
+        this.statusElement.textContent = message;
+    }
+
+    async toggle() {
+        await this.run(() => (this.subscription ? this.unsubscribe() : this.subscribe()));
+    }
+
+    /**
+     * 購読の変更を行い、失敗した場合はメッセージを表示する
+     * @param {Function} task - 購読を変更する処理
+     * @returns {Promise<void>}
+     */
+    async run(task) {
+        if (this.isBusy) return;
+        this.isBusy = true;
+        this.render();
         
-        if (this.mobileMenu) {
-            this.mobileMenu.classList.add('hidden');
-            this.mobileMenu.setAttribute('aria-hidden', 'true');
+        try {
+            await task();
+            this.isBusy = false;
+            this.render();
+        } catch (error) {
+            console.error('Push subscription failed:', error);
+            this.isBusy = false;
+            this.render();
+            this.showStatus(I18n.t('push.failed'));
         }
+    }
+
+    /**
+     * 通知の許可を求めて購読する
+     * @param {Object} [extra] - サーバーに送る追加の情報（reservationId）
+     * @returns {Promise<void>}
+     */
+    async subscribe(extra = {}) {
+        // 許可のダイアログはボタン操作から直接表示する（ブラウザが操作なしの要求を拒否するため）
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') return;
         
-        // グリッドレイアウトの強制適用
-        const grids = document.querySelectorAll('.grid');
-        grids.forEach(grid => {
-            if (grid.classList.contains('md:grid-cols-2')) {
-                grid.style.gridTemplateColumns = 'repeat(2, minmax(0, 1fr))';
-            }
-            if (grid.classList.contains('md:grid-cols-3')) {
-                grid.style.gridTemplateColumns = 'repeat(3, minmax(0, 1fr))';
-            }
-            if (grid.classList.contains('lg:grid-cols-3')) {
-                grid.style.gridTemplateColumns = 'repeat(3, minmax(0, 1fr))';
+        const response = await fetch(CONFIG.PUSH_KEY_URL, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const { publicKey } = await response.json();
+        
+        this.subscription = await this.registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: PushNotifications.decodeKey(publicKey)
+        });
+        await this.save(extra);
+    }
+
+    async unsubscribe() {
+        const { endpoint } = this.subscription;
+        await this.request('DELETE', { endpoint });
+        await this.subscription.unsubscribe();
+        this.subscription = null;
+    }
+
+    /**
+     * 購読と受け取る通知の種類をサーバーに登録する
+     * @param {Object} [extra] - サーバーに送る追加の情報
+     * @returns {Promise<void>}
+     */
+    save(extra = {}) {
+        return this.request('POST', {
+            subscription: this.subscription.toJSON(),
+            topics: this.topics,
+            locale: I18n.locale,
+            ...extra
+        });
+    }
+
+    async saveTopics() {
+        LocalStore.write(CONFIG.PUSH_TOPICS_KEY, this.topics.join(','));
+        if (this.subscription) {
+            await this.run(() => this.save());
+        }
+    }
+
+    async request(method, body) {
+        const response = await fetch(CONFIG.PUSH_ENDPOINT, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    }
+
+    /**
+     * 予約の送信後の処理
+     * 予約の確認を購読済みであれば確認を送ってもらい、未購読であれば受け取りを提案する
+     * @param {string} reservationId - サーバーが返した予約ID
+     */
+    handleReservation(reservationId) {
+        if (this.subscription) {
+            if (this.topics.includes('reservations')) {
+                this.save({ reservationId }).catch(error => console.error('Failed to request confirmation:', error));
             }
+            return;
+        }
+        
+        // 一度断られた場合・ブロックされている場合は提案しない
+        if (!this.prompt || Notification.permission === 'denied' || LocalStore.read(CONFIG.PUSH_PROMPT_KEY)) return;
+        
+        this.pendingReservationId = reservationId;
+        this.prompt.classList.remove('hidden');
+    }
+
+    async acceptOffer() {
+        this.prompt.classList.add('hidden');
+        LocalStore.write(CONFIG.PUSH_PROMPT_KEY, '1');
+        
+        const reservations = this.topicInputs.find(input => input.value === 'reservations');
+        if (reservations) reservations.checked = true;
+        LocalStore.write(CONFIG.PUSH_TOPICS_KEY, this.topics.join(','));
+        
+        await this.run(() => this.subscribe({ reservationId: this.pendingReservationId }));
+        this.pendingReservationId = null;
+    }
+
+    dismissOffer() {
+        this.prompt.classList.add('hidden');
+        this.pendingReservationId = null;
+        LocalStore.write(CONFIG.PUSH_PROMPT_KEY, '1');
+    }
+
+    /**
+     * base64url 形式の公開鍵をバイト列に変換する
+     * @param {string} key - base64url 形式の公開鍵
+     * @returns {Uint8Array}
+     */
+    static decodeKey(key) {
+        const base64 = key.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(key.length / 4) * 4, '=');
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    }
+}
+
+// アクセス解析（バナーで同意した場合のみ送信する）
+// Cookieや端末への識別子の保存は行わず、外部のスクリプトも読み込まない。受付・集計は server/analytics.js と scripts/analytics-report.js
+class Analytics {
+    constructor() {
+        this.banner = document.getElementById('analytics-consent');
+        this.settingsButtons = document.querySelectorAll('[data-analytics-settings]');
+        this.endpoint = (this.banner && this.banner.dataset.endpoint) || CONFIG.ANALYTICS_ENDPOINT;
+        this.isEnabled = false;
+        this.queue = [];
+        this.flushTimer = null;
+        this.sectionObserver = null;
+        
+        // ページの表示ごとの識別子（保存しないため、再訪問や他のタブの表示とは結び付かない）
+        this.viewId = null;
+        
+        // 入力途中のフォームの段階（送信・保存を終えると null）
+        this.formStep = null;
+        this.init();
+    }
+
+    /**
+     * ブラウザでトラッキングの拒否（Global Privacy Control / Do Not Track）を設定しているか
+     * @returns {boolean}
+     */
+    static isOptedOut() {
+        return navigator.globalPrivacyControl === true
+            || navigator.doNotTrack === '1'
+            || window.doNotTrack === '1';
+    }
+
+    init() {
+        // 拒否を設定している場合は同意を尋ねず、設定のボタンも表示しない
+        if (!this.banner || Analytics.isOptedOut()) return;
+        
+        this.banner.querySelector('[data-analytics-action="accept"]').addEventListener('click', () => this.setConsent(true));
+        this.banner.querySelector('[data-analytics-action="decline"]').addEventListener('click', () => this.setConsent(false));
+        this.settingsButtons.forEach(button => {
+            button.classList.remove('hidden');
+            button.addEventListener('click', () => this.showBanner({ focus: true }));
+        });
+        
+        // CTA（data-analytics-cta の値で区別）
+        document.addEventListener('click', (event) => {
+            const cta = event.target.closest('[data-analytics-cta]');
+            if (cta) this.track('cta_click', cta.dataset.analyticsCta);
         });
         
-        // フレックスレイアウトの強制適用
-        const flexContainers = document.querySelectorAll('.flex');
-        flexContainers.forEach(container => {
-            if (container.classList.contains('md:flex-row')) {
-                container.style.flexDirection = 'row';
+        // フォームの入力段階（ContactForm が発行する）
+        document.addEventListener('formstep', (event) => this.trackFormStep(event.detail.step));
+        
+        // 画面を離れるときに残りを送る（ページを閉じた後も送信される sendBeacon を使う）
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => {
+            if (this.formStep) {
+                this.track('form_abandon', this.formStep);
+                this.formStep = null;
             }
+            this.flush();
         });
         
-        // PC表示でのアニメーション最適化
-        this.optimizeAnimationsForDesktop();
+        const consent = LocalStore.read(CONFIG.ANALYTICS_CONSENT_KEY);
+        if (consent === 'granted') {
+            this.start();
+        } else if (consent !== 'denied') {
+            this.showBanner();
+        }
     }
-    
-    optimizeAnimationsForDesktop() {
-        // Menuセクションのアニメーション最適化
-        const menuCards = document.querySelectorAll('#menu .menu-card');
-        menuCards.forEach((card, index) => {
-            // PC表示では即座にアニメーションを実行
-            card.style.transitionDelay = `${index * 50}ms`;
-            card.style.transitionDuration = '0.6s';
-            
-            // AOSの遅延を調整
-            if (card.hasAttribute('data-aos-delay')) {
-                const delay = parseInt(card.getAttribute('data-aos-delay'));
-                card.setAttribute('data-aos-delay', Math.min(delay, 100));
-            }
+
+    /**
+     * 同意の選択を保存して反映する
+     * @param {boolean} granted - 同意した場合は true
+     */
+    setConsent(granted) {
+        LocalStore.write(CONFIG.ANALYTICS_CONSENT_KEY, granted ? 'granted' : 'denied');
+        this.hideBanner();
+        
+        if (granted && !this.isEnabled) {
+            this.start();
+        } else if (!granted && this.isEnabled) {
+            this.stop();
+        }
+    }
+
+    /**
+     * 同意のバナーを表示する
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - 「同意する」ボタンにフォーカスする（設定のボタンから開いた場合）
+     */
+    showBanner({ focus = false } = {}) {
+        this.banner.classList.remove('hidden');
+        if (focus) {
+            this.banner.querySelector('[data-analytics-action="accept"]').focus();
+        }
+    }
+
+    hideBanner() {
+        this.banner.classList.add('hidden');
+    }
+
+    start() {
+        this.isEnabled = true;
+        this.viewId = Analytics.createViewId();
+        this.track('page_view', window.location.pathname);
+        this.observeSections();
+    }
+
+    // 同意を取り消した場合は、送信前のイベントも破棄する
+    stop() {
+        this.isEnabled = false;
+        this.queue = [];
+        this.formStep = null;
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+            this.sectionObserver = null;
+        }
+    }
+
+    // セクションの上端が画面の中央を越えたら表示とする（ページの表示ごとに1回）
+    observeSections() {
+        if (!('IntersectionObserver' in window)) return;
+        
+        this.sectionObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting) return;
+        
+                this.track('section_view', entry.target.id);
+                observer.unobserve(entry.target);
+            });
+        }, { rootMargin: '0px 0px -50% 0px' });
+        
+        document.querySelectorAll('section[id]').forEach(section => this.sectionObserver.observe(section));
+    }
+
+    /**
+     * フォームの入力段階を記録し、入力途中かを更新する
+     * @param {string} step - ContactForm.dispatchStep の段階
+     */
+    trackFormStep(step) {
+        if (!this.isEnabled) return;
+        
+        this.track('form_step', step);
+        this.formStep = step === 'sent' || step === 'queued' ? null : step;
+    }
+
+    /**
+     * イベントを記録する（まとめて送信する）
+     * @param {string} type - 'page_view' | 'section_view' | 'cta_click' | 'form_step' | 'form_abandon'
+     * @param {string} name - セクションのID・CTAの名前・フォームの段階など
+     */
+    track(type, name) {
+        if (!this.isEnabled) return;
+        
+        // 時刻はページを開いてからの経過時間（ミリ秒）のみ送る
+        this.queue.push({ type, name: String(name), at: Math.round(performance.now()) });
+        
+        if (this.queue.length >= CONFIG.ANALYTICS_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), CONFIG.ANALYTICS_FLUSH_DELAY);
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.queue.length) return;
+        
+        // 文字列は text/plain で送られる（CORSの事前確認が不要なため、ページを閉じる間も送信できる）
+        const body = JSON.stringify({
+            view: this.viewId,
+            locale: I18n.locale,
+            events: this.queue.splice(0)
         });
         
-        // AOSライブラリの再初期化（PC表示用）
-        if (typeof AOS !== 'undefined') {
-            setTimeout(() => {
-                AOS.refresh();
-            }, 200);
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, body)) return;
+        
+        // sendBeacon が使えない・送信を受け付けなかった場合
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body,
+            keepalive: true,
+            credentials: 'omit'
+        }).catch(() => {
+            // 解析のための送信のため、失敗しても再送しない
+        });
+    }
+
+    /**
+     * ページの表示ごとの識別子
+     * @returns {string}
+     */
+    static createViewId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
         }
+        return Array.from({ length: 4 }, () => Math.random().toString(36).slice(2, 10).padEnd(8, '0')).join('');
     }
 }
 
 // 初期化
 document.addEventListener('DOMContentLoaded', () => {
+    // 表示言語の判定と翻訳（各モジュールの文言より先に行う）
+    I18n.init();
+    
     // 各モジュールの初期化
+    new LanguageSwitcher();
+    new ThemeSwitcher();
+    new MotionToggle();
     new HeroButtonAnimations();
-    new ResponsiveController();
     new MobileMenu();
     new ScrollEffects();
+    new OpenStatus();
+    new Menu({ url: CONFIG.MENU_URL });
+    new News({ url: CONFIG.NEWS_URL });
+    new Gallery();
     new ContactForm();
     new Accessibility();
+    new LazyImageLoader();
+    new Analytics();
     
-    // AOS初期化（レスポンシブ対応）
+    // AOS初期化（画面幅の区分は js/breakpoints.js）
+    // 動きを減らす場合は css/main.css の [data-motion="reduce"] で最初から表示する
+    // （disable で初期化すると属性が削除され、設定を戻したときにアニメーションを再開できないため）
     if (typeof AOS !== 'undefined') {
-        const isMobile = window.innerWidth < CONFIG.MOBILE_BREAKPOINT;
+        const isMobile = !Breakpoints.isAtLeast('tablet');
         
         AOS.init({
             duration: isMobile ? CONFIG.ANIMATION_DURATION : 600, // PC表示では短縮
@@ -725,38 +2412,22 @@ document.addEventListener('DOMContentLoaded', () => {
                 AOS.refresh();
             }, 100);
         }
-    }
-    
-    // パフォーマンス最適化：画像の遅延読み込み
-    if ('loading' in HTMLImageElement.prototype) {
-        const images = document.querySelectorAll('img[data-src]');
-        images.forEach(img => {
-            img.src = img.dataset.src;
-            img.removeAttribute('data-src');
-        });
-    } else {
-        // Intersection Observer を使用した遅延読み込み
-        const lazyImages = document.querySelectorAll('img[data-src]');
-        const imageObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const img = entry.target;
-                    img.src = img.dataset.src;
-                    img.removeAttribute('data-src');
-                    imageObserver.unobserve(img);
-                }
-            });
-        });
         
-        lazyImages.forEach(img => imageObserver.observe(img));
+        // 段組みが切り替わると要素の位置が変わるため、アニメーションの開始位置を計算し直す
+        document.addEventListener('breakpointchange', () => AOS.refresh());
     }
 });
 
 // Service Worker の登録（PWA対応）
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
-            .then(registration => console.log('ServiceWorker registration successful'))
+        // importScripts で読み込むJSもHTTPキャッシュを使わずに更新を確認する
+        navigator.serviceWorker.register('/sw.js', { updateViaCache: 'none' })
+            .then(registration => {
+                console.log('ServiceWorker registration successful');
+                new ServiceWorkerUpdater(registration);
+                new PushNotifications(registration);
+            })
             .catch(err => console.log('ServiceWorker registration failed:', err));
     });
 }
@@ -0,0 +1,394 @@
+/**
+ * Café Serenity - メニュー
+ * data/menu.json のカタログからメニューカードを描画し、検索・絞り込みを提供する
+ */
+
+// メニュー描画
+class Menu {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url] - メニューカタログのURL
+     */
+    constructor({ url = 'data/menu.json' } = {}) {
+        this.container = document.getElementById('menu-grid');
+        this.filterPanel = document.getElementById('menu-filters');
+        this.searchInput = document.getElementById('menu-search');
+        this.categoryFilters = document.getElementById('menu-category-filters');
+        this.tagFilters = document.getElementById('menu-tag-filters');
+        this.emptyMessage = document.getElementById('menu-empty');
+        this.statusElement = document.getElementById('menu-results-status');
+        this.url = url;
+        this.catalogue = null;
+
+        // 現在の絞り込み条件
+        this.filters = {
+            category: 'all',
+            query: '',
+            tags: new Set()
+        };
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.container) return;
+
+        try {
+            this.catalogue = await this.load();
+            this.render();
+            this.initFilters();
+
+            // 表示言語の切り替えに合わせて描き直す（絞り込み条件は維持）
+            document.addEventListener('localechange', () => this.refresh());
+        } catch (error) {
+            console.error('Failed to load menu:', error);
+            this.renderError();
+        } finally {
+            this.container.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * メニューカタログを取得
+     * @returns {Promise<{categories: Array<Object>, items: Array<Object>}>}
+     */
+    async load() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    refresh() {
+        this.render();
+
+        if (this.filterPanel && !this.filterPanel.classList.contains('hidden')) {
+            this.renderFilterChips();
+            this.applyFilters();
+        }
+    }
+
+    render() {
+        const { categories, items } = this.catalogue;
+
+        const cards = categories
+            .map(category => ({
+                category,
+                items: items.filter(item => item.category === category.id)
+            }))
+            .filter(group => group.items.length)
+            .map((group, index) => this.createCard(group.category, group.items, index));
+
+        this.container.replaceChildren(...cards);
+    }
+
+    /**
+     * カテゴリーごとのメニューカードを作成
+     * @param {Object} category - カテゴリー
+     * @param {Array<Object>} items - カテゴリー内の商品
+     * @param {number} index - カードの表示順
+     * @returns {HTMLElement}
+     */
+    createCard(category, items, index) {
+        const card = Utils.createElement('div', 'menu-card bg-stone-50 p-8');
+        card.dataset.aos = 'fade-up';
+        card.dataset.aosDelay = String(index * 50);
+        card.dataset.category = category.id;
+        card.setAttribute('tabindex', '0');
+        card.setAttribute('role', 'article');
+
+        const list = Utils.createElement('ul', 'space-y-6');
+        items.forEach((item, itemIndex) => {
+            list.appendChild(this.createItem(item, itemIndex === items.length - 1));
+        });
+
+        card.append(
+            Utils.createElement('h3', 'text-2xl font-serif font-light text-stone-800 mb-8', I18n.pick(category.name)),
+            list
+        );
+        return card;
+    }
+
+    /**
+     * 商品の行を作成
+     * @param {Object} item - 商品
+     * @param {boolean} isLast - カテゴリー内の最後の商品か
+     * @returns {HTMLElement}
+     */
+    createItem(item, isLast) {
+        const row = Utils.createElement('li', isLast
+            ? 'flex justify-between items-center py-4'
+            : 'flex justify-between items-center py-4 border-b border-stone-200');
+        row.dataset.itemId = item.id;
+
+        const details = Utils.createElement('div');
+        details.append(
+            Utils.createElement('span', 'font-medium text-stone-800', I18n.pick(item.name)),
+            Utils.createElement('p', 'text-sm text-stone-500 mt-1', I18n.pick(item.description))
+        );
+
+        const price = Utils.createElement('span', 'text-lg font-light text-stone-700', Menu.formatPrice(item.price));
+
+        const tags = this.getItemTags(item);
+        if (tags.length) {
+            const tagList = Utils.createElement('ul', 'menu-tags');
+            tagList.setAttribute('aria-label', I18n.t('menu.itemTags'));
+            tags.forEach(tag => {
+                tagList.appendChild(Utils.createElement('li', `menu-tag menu-tag-${tag.type}`, I18n.pick(tag.label)));
+            });
+            details.appendChild(tagList);
+        }
+
+        if (!item.available) {
+            row.classList.add('menu-item-unavailable');
+            price.textContent = I18n.t('menu.soldOut');
+        }
+
+        row.append(details, price);
+        return row;
+    }
+
+    /**
+     * 商品に付いたタグの定義を取得
+     * @param {Object} item - 商品
+     * @returns {Array<Object>} タグの定義
+     */
+    getItemTags(item) {
+        const definitions = this.catalogue.tags || [];
+        return definitions.filter(tag => (item.tags || []).includes(tag.id));
+    }
+
+    initFilters() {
+        if (!this.filterPanel) return;
+
+        this.renderFilterChips();
+        this.filterPanel.classList.remove('hidden');
+
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', Utils.debounce(() => {
+                this.filters.query = this.searchInput.value;
+                this.applyFilters({ updateHash: true });
+            }, CONFIG.DEBOUNCE_DELAY));
+        }
+
+        // 共有されたURLの絞り込み条件を復元
+        window.addEventListener('hashchange', () => this.restoreFromHash());
+        if (window.location.hash.startsWith('#menu?')) {
+            this.restoreFromHash();
+            Utils.smoothScroll('#menu');
+        } else {
+            this.applyFilters({ announce: false });
+        }
+    }
+
+    renderFilterChips() {
+        if (this.categoryFilters) {
+            const categories = [{ id: 'all', name: I18n.t('menu.all') }, ...this.catalogue.categories];
+            this.categoryFilters.replaceChildren(...categories.map(category => {
+                const chip = this.createChip(I18n.pick(category.name), { category: category.id });
+                chip.addEventListener('click', () => {
+                    this.filters.category = category.id;
+                    this.applyFilters({ updateHash: true });
+                });
+                return chip;
+            }));
+        }
+
+        if (this.tagFilters) {
+            this.tagFilters.replaceChildren(...(this.catalogue.tags || []).map(tag => {
+                const filterId = Menu.getTagFilterId(tag);
+                const chip = this.createChip(I18n.pick(tag.filterLabel), { tag: filterId });
+                chip.addEventListener('click', () => {
+                    if (this.filters.tags.has(filterId)) {
+                        this.filters.tags.delete(filterId);
+                    } else {
+                        this.filters.tags.add(filterId);
+                    }
+                    this.applyFilters({ updateHash: true });
+                });
+                return chip;
+            }));
+        }
+    }
+
+    /**
+     * 絞り込み用のチップボタンを作成
+     * @param {string} label - 表示名
+     * @param {Object} data - data属性
+     * @returns {HTMLButtonElement}
+     */
+    createChip(label, data) {
+        const chip = Utils.createElement('button', 'menu-chip', label);
+        chip.type = 'button';
+        chip.setAttribute('aria-pressed', 'false');
+        Object.assign(chip.dataset, data);
+        return chip;
+    }
+
+    /**
+     * URLハッシュ（#menu?category=tea&diet=vegan&q=...）から絞り込み条件を復元
+     * @returns {boolean} 条件を復元したか
+     */
+    restoreFromHash() {
+        const hash = window.location.hash;
+        if (hash !== '#menu' && !hash.startsWith('#menu?')) return false;
+
+        const params = new URLSearchParams(hash.slice('#menu?'.length));
+        const categoryIds = this.catalogue.categories.map(category => category.id);
+        const tagIds = (this.catalogue.tags || []).map(tag => Menu.getTagFilterId(tag));
+        const category = params.get('category');
+
+        this.filters.category = categoryIds.includes(category) ? category : 'all';
+        this.filters.query = params.get('q') || '';
+        this.filters.tags = new Set((params.get('diet') || '').split(',').filter(id => tagIds.includes(id)));
+
+        if (this.searchInput) {
+            this.searchInput.value = this.filters.query;
+        }
+
+        this.applyFilters({ updateHash: false });
+        return true;
+    }
+
+    updateHash() {
+        const params = new URLSearchParams();
+        if (this.filters.category !== 'all') params.set('category', this.filters.category);
+        if (this.filters.tags.size) params.set('diet', [...this.filters.tags].join(','));
+        if (this.filters.query.trim()) params.set('q', this.filters.query.trim());
+
+        // 共有しやすいようにタグ区切りのカンマはエンコードしない
+        const query = params.toString().replace(/%2C/g, ',');
+        history.replaceState(history.state, '', query ? `#menu?${query}` : '#menu');
+    }
+
+    /**
+     * 絞り込み条件を適用して表示を更新
+     * @param {Object} [options]
+     * @param {boolean} [options.updateHash] - URLハッシュに条件を反映するか
+     * @param {boolean} [options.announce] - 結果をスクリーンリーダーに通知するか
+     */
+    applyFilters({ updateHash = false, announce = true } = {}) {
+        const visibleIds = new Set(this.filterItems().map(item => item.id));
+
+        this.container.querySelectorAll('.menu-card').forEach(card => {
+            const rows = [...card.querySelectorAll('li[data-item-id]')];
+            rows.forEach(row => row.classList.toggle('hidden', !visibleIds.has(row.dataset.itemId)));
+
+            // 表示中の最後の行は区切り線なし
+            const visibleRows = rows.filter(row => !row.classList.contains('hidden'));
+            rows.forEach(row => row.classList.toggle('border-b', row !== visibleRows[visibleRows.length - 1]));
+
+            card.classList.toggle('hidden', !visibleRows.length);
+        });
+
+        this.updateChips();
+
+        if (this.emptyMessage) {
+            this.emptyMessage.classList.toggle('hidden', visibleIds.size > 0);
+        }
+
+        if (announce) {
+            this.announce(visibleIds.size);
+        }
+
+        if (updateHash) {
+            this.updateHash();
+        }
+    }
+
+    /**
+     * 絞り込み条件に一致する商品を取得
+     * @returns {Array<Object>}
+     */
+    filterItems() {
+        const { category, tags } = this.filters;
+        const query = Menu.normalize(this.filters.query);
+
+        return this.catalogue.items.filter(item => {
+            if (category !== 'all' && item.category !== category) return false;
+
+            const itemTags = item.tags || [];
+            const matchesTags = [...tags].every(filterId => filterId.startsWith('no-')
+                ? !itemTags.includes(filterId.slice('no-'.length))
+                : itemTags.includes(filterId));
+            if (!matchesTags) return false;
+
+            if (!query) return true;
+
+            // 表示中以外の言語でも検索できるようにすべての言語の文言を対象にする
+            const haystack = [
+                item.name,
+                item.description,
+                ...this.getItemTags(item).map(tag => tag.label)
+            ].flatMap(Menu.getTexts).map(Menu.normalize).join(' ');
+            return haystack.includes(query);
+        });
+    }
+
+    updateChips() {
+        this.filterPanel.querySelectorAll('.menu-chip').forEach(chip => {
+            const isActive = chip.dataset.category
+                ? chip.dataset.category === this.filters.category
+                : this.filters.tags.has(chip.dataset.tag);
+            chip.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    /**
+     * 絞り込み結果をスクリーンリーダーに通知
+     * @param {number} count - 表示中の商品数
+     */
+    announce(count) {
+        if (!this.statusElement) return;
+
+        const total = this.catalogue.items.length;
+        this.statusElement.textContent = count
+            ? I18n.t('menu.results', { count, total })
+            : I18n.t('menu.noResults');
+    }
+
+    renderError() {
+        this.container.replaceChildren(Utils.createElement(
+            'p',
+            'text-stone-600 text-center',
+            I18n.t('menu.loadError')
+        ));
+    }
+
+    /**
+     * 価格を表示用に整形
+     * @param {number} price - 価格（円）
+     * @returns {string} 例: ¥450
+     */
+    static formatPrice(price) {
+        return `¥${price.toLocaleString('ja-JP')}`;
+    }
+
+    /**
+     * タグの絞り込みID（アレルゲンは「不使用」で絞り込むため no- を付ける）
+     * @param {Object} tag - タグの定義
+     * @returns {string} 例: vegan, no-dairy
+     */
+    static getTagFilterId(tag) {
+        return tag.type === 'allergen' ? `no-${tag.id}` : tag.id;
+    }
+
+    /**
+     * 言語ごとの値（{ja, en}）または文字列からすべての文言を取り出す
+     * @param {Object|string} value - 文言
+     * @returns {Array<string>}
+     */
+    static getTexts(value) {
+        return value && typeof value === 'object' ? Object.values(value) : [value];
+    }
+
+    /**
+     * 検索用に文字列を正規化（全角・半角、大文字・小文字を区別しない）
+     * @param {string} text - 文字列
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text || '').normalize('NFKC').toLowerCase().trim();
+    }
+}
@@ -0,0 +1,82 @@
+/**
+ * Café Serenity - 動きを減らす設定
+ * 端末の設定（prefers-reduced-motion）と「動きを減らす」ボタンの選択から、アニメーションを行うかを判定する
+ *
+ * スクロール時のアニメーション（AOS）・パララックス・リップル・スムーズスクロールは、動かす前に Motion.reduced を確認する
+ * 読み込んだ時点で <html data-motion="reduce|full"> を設定し、CSSのアニメーションもこの属性で止める
+ * 切り替えボタンは js/main.js の MotionToggle
+ */
+
+(function (root) {
+    'use strict';
+
+    const Motion = {
+        STORAGE_KEY: 'cafe-serenity-reduce-motion',
+
+        MEDIA_QUERY: '(prefers-reduced-motion: reduce)',
+
+        // 保存した選択（'reduce' | 'no-preference'）。選択していない場合は null で、端末の設定に従う
+        preference: null,
+        reduced: false,
+
+        init() {
+            const stored = root.LocalStore.read(this.STORAGE_KEY);
+            this.preference = stored === 'reduce' || stored === 'no-preference' ? stored : null;
+            this.apply();
+
+            // 選択していなければ、端末の設定の変更に追従する
+            const media = root.matchMedia(this.MEDIA_QUERY);
+            const listener = () => {
+                if (this.preference === null) this.apply();
+            };
+            if (media.addEventListener) {
+                media.addEventListener('change', listener);
+            } else {
+                media.addListener(listener);
+            }
+        },
+
+        /**
+         * 動きを減らすか
+         * @returns {boolean}
+         */
+        resolve() {
+            if (this.preference !== null) return this.preference === 'reduce';
+            return root.matchMedia(this.MEDIA_QUERY).matches;
+        },
+
+        /**
+         * 動きを減らすかを選択して保存する
+         * 端末の設定と同じ場合は保存せず、以降も端末の設定に従う
+         * @param {boolean} reduced - 動きを減らす場合は true
+         */
+        setReduced(reduced) {
+            if (reduced === root.matchMedia(this.MEDIA_QUERY).matches) {
+                this.preference = null;
+                root.LocalStore.remove(this.STORAGE_KEY);
+            } else {
+                this.preference = reduced ? 'reduce' : 'no-preference';
+                root.LocalStore.write(this.STORAGE_KEY, this.preference);
+            }
+            this.apply();
+        },
+
+        // 設定を反映し、変わった場合は motionchange イベントを発行する
+        apply() {
+            const reduced = this.resolve();
+            const changed = reduced !== this.reduced;
+
+            this.reduced = reduced;
+            root.document.documentElement.dataset.motion = reduced ? 'reduce' : 'full';
+
+            if (changed) {
+                root.document.dispatchEvent(new CustomEvent('motionchange', {
+                    detail: { reduced, preference: this.preference }
+                }));
+            }
+        }
+    };
+
+    root.Motion = Motion;
+    Motion.init();
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,131 @@
+/**
+ * Café Serenity - お知らせ
+ * data/news.json の記事の表示判定・並び順（ページと Node のビルドスクリプト scripts/build-news.js で共有）
+ *
+ * 記事の項目
+ *   id        記事のID（URLに使うため英小文字・数字・ハイフン）
+ *   date      掲載日（YYYY-MM-DD、日本時間）
+ *   updated   更新日（省略時は date。フィードの更新日時に使用）
+ *   category  categories の id
+ *   pinned    true にすると掲載日に関係なく先頭に表示
+ *   expires   この日を過ぎるとページに表示しない（省略時は期限なし）
+ *   title     見出し（{ja, en} または文字列）
+ *   body      本文（{ja, en} または文字列）
+ */
+
+(function (root) {
+    'use strict';
+
+    const NewsPosts = {
+        // 掲載から何日間「NEW」を表示するか
+        NEW_DAYS: 14,
+
+        // 記事のURL（#news/<id>）。記事の要素の id にも使う
+        HASH_PREFIX: '#news/',
+
+        ID_PATTERN: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+
+        /**
+         * 記事のURLハッシュ
+         * @param {Object} post - 記事
+         * @returns {string} 例: #news/autumn-menu-2026
+         */
+        getHash(post) {
+            return `${this.HASH_PREFIX}${post.id}`;
+        },
+
+        /**
+         * URLハッシュが指す記事のID
+         * @param {string} hash - URLハッシュ
+         * @returns {string|null}
+         */
+        getIdFromHash(hash) {
+            return hash.startsWith(this.HASH_PREFIX) ? hash.slice(this.HASH_PREFIX.length) : null;
+        },
+
+        /**
+         * 掲載期限を過ぎているか
+         * @param {Object} post - 記事
+         * @param {string} today - YYYY-MM-DD 形式の今日の日付
+         * @returns {boolean}
+         */
+        isExpired(post, today) {
+            return Boolean(post.expires) && post.expires < today;
+        },
+
+        /**
+         * 「NEW」を表示するか（掲載から NEW_DAYS 日以内）
+         * @param {Object} post - 記事
+         * @param {string} today - YYYY-MM-DD 形式の今日の日付
+         * @returns {boolean}
+         */
+        isNew(post, today) {
+            const days = (this.toTime(today) - this.toTime(post.date)) / (24 * 60 * 60 * 1000);
+            return days >= 0 && days < this.NEW_DAYS;
+        },
+
+        /**
+         * 表示順に並べる（ピン留めした記事を先頭に、それぞれ新しい順）
+         * @param {Array<Object>} posts - 記事
+         * @returns {Array<Object>} 並べ替えた新しい配列
+         */
+        sort(posts) {
+            return [...posts].sort((a, b) => {
+                if (Boolean(a.pinned) !== Boolean(b.pinned)) return a.pinned ? -1 : 1;
+                if (a.date !== b.date) return a.date < b.date ? 1 : -1;
+                return a.id < b.id ? -1 : 1;
+            });
+        },
+
+        /**
+         * ページに表示する記事
+         * @param {Array<Object>} posts - 記事
+         * @param {string} today - YYYY-MM-DD 形式の今日の日付
+         * @returns {Array<Object>}
+         */
+        getVisiblePosts(posts, today) {
+            return this.sort(posts.filter(post => !this.isExpired(post, today)));
+        },
+
+        /**
+         * 記事の定義の誤りを調べる
+         * @param {{categories: Array<Object>, posts: Array<Object>}} data - data/news.json の内容
+         * @returns {Array<string>} 誤りの説明（誤りがなければ空）
+         */
+        validate({ categories = [], posts = [] }) {
+            const errors = [];
+            const ids = new Set();
+            const categoryIds = categories.map(category => category.id);
+            const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(this.toTime(value));
+
+            posts.forEach((post, index) => {
+                const label = `posts[${index}]${post.id ? ` (${post.id})` : ''}`;
+
+                if (!this.ID_PATTERN.test(post.id || '')) errors.push(`${label}: invalid id`);
+                if (ids.has(post.id)) errors.push(`${label}: duplicate id`);
+                if (!isDate(post.date)) errors.push(`${label}: invalid date`);
+                if (post.updated !== undefined && !isDate(post.updated)) errors.push(`${label}: invalid updated`);
+                if (post.expires !== undefined && !isDate(post.expires)) errors.push(`${label}: invalid expires`);
+                if (!categoryIds.includes(post.category)) errors.push(`${label}: unknown category`);
+                if (!post.title) errors.push(`${label}: missing title`);
+                if (!post.body) errors.push(`${label}: missing body`);
+
+                ids.add(post.id);
+            });
+
+            return errors;
+        },
+
+        // 日付のみを扱うためUTCの時刻として比較する
+        toTime(date) {
+            const [year, month, day] = String(date).split('-').map(Number);
+            return Date.UTC(year, month - 1, day);
+        }
+    };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = NewsPosts;
+    } else {
+        root.NewsPosts = NewsPosts;
+    }
+})(typeof self !== 'undefined' ? self : this);
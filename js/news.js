@@ -0,0 +1,152 @@
+/**
+ * Café Serenity - お知らせ
+ * data/news.json の記事をお知らせセクションに描画する（表示判定・並び順は js/news-posts.js）
+ *
+ * 記事には #news/<id> のURLで直接移動でき、フィード（feed.xml）とサイトマップは scripts/build-news.js で生成する
+ */
+
+// お知らせの描画
+class News {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.url] - 記事データのURL
+     */
+    constructor({ url = 'data/news.json' } = {}) {
+        this.container = document.getElementById('news-list');
+        this.emptyMessage = document.getElementById('news-empty');
+        this.url = url;
+        this.data = null;
+
+        this.init();
+    }
+
+    async init() {
+        if (!this.container) return;
+
+        try {
+            this.data = await this.load();
+            this.render();
+
+            // 表示言語の切り替えに合わせて描き直す
+            document.addEventListener('localechange', () => this.render());
+
+            // 共有された記事のURLを表示（記事の描画は読み込み後のため、ページの位置の復元とは別に行う）
+            window.addEventListener('hashchange', () => this.restoreFromHash());
+            if (NewsPosts.getIdFromHash(window.location.hash)) {
+                this.restoreFromHash();
+            }
+        } catch (error) {
+            console.error('Failed to load news:', error);
+            this.renderError();
+        } finally {
+            this.container.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * 記事データを取得
+     * @returns {Promise<{categories: Array<Object>, posts: Array<Object>}>}
+     */
+    async load() {
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    render() {
+        // 掲載期限と「NEW」は店舗の日付（日本時間）で判定する
+        const today = OpeningHours.now().date;
+        const posts = NewsPosts.getVisiblePosts(this.data.posts, today);
+
+        this.container.replaceChildren(...posts.map((post, index) => this.createPost(post, today, index)));
+
+        if (this.emptyMessage) {
+            this.emptyMessage.classList.toggle('hidden', posts.length > 0);
+        }
+    }
+
+    /**
+     * 記事の要素を作成
+     * @param {Object} post - 記事
+     * @param {string} today - YYYY-MM-DD 形式の今日の日付
+     * @param {number} index - 表示順
+     * @returns {HTMLElement}
+     */
+    createPost(post, today, index) {
+        const hash = NewsPosts.getHash(post);
+        const titleId = `news-title-${post.id}`;
+
+        const article = Utils.createElement('article', post.pinned ? 'news-post news-post-pinned' : 'news-post');
+        article.id = hash.slice(1);
+        article.dataset.aos = 'fade-up';
+        article.dataset.aosDelay = String(Math.min(index, 3) * 50);
+        article.setAttribute('aria-labelledby', titleId);
+
+        const meta = Utils.createElement('div', 'news-post-meta');
+        const time = Utils.createElement('time', 'news-post-date', News.formatDate(post.date));
+        time.setAttribute('datetime', post.date);
+        meta.append(time, Utils.createElement('span', 'news-post-category', this.getCategoryName(post.category)));
+
+        if (post.pinned) {
+            const pinned = Utils.createElement('span', 'news-badge news-badge-pinned');
+            const icon = Utils.createElement('i', 'fas fa-thumbtack');
+            icon.setAttribute('aria-hidden', 'true');
+            pinned.append(icon, ` ${I18n.t('news.pinned')}`);
+            meta.appendChild(pinned);
+        }
+        if (NewsPosts.isNew(post, today)) {
+            meta.appendChild(Utils.createElement('span', 'news-badge news-badge-new', I18n.t('news.new')));
+        }
+
+        const title = Utils.createElement('h3', 'news-post-title text-xl font-serif font-light text-stone-800');
+        title.id = titleId;
+        const link = Utils.createElement('a', '', I18n.pick(post.title));
+        link.href = hash;
+        title.appendChild(link);
+
+        article.append(meta, title, Utils.createElement('p', 'text-stone-700 font-light leading-relaxed', I18n.pick(post.body)));
+        return article;
+    }
+
+    /**
+     * カテゴリーの表示名
+     * @param {string} id - カテゴリーのID
+     * @returns {string}
+     */
+    getCategoryName(id) {
+        const category = (this.data.categories || []).find(item => item.id === id);
+        return category ? I18n.pick(category.name) : '';
+    }
+
+    /**
+     * URLハッシュ（#news/<id>）の記事を表示
+     * @returns {boolean} 記事を表示したか
+     */
+    restoreFromHash() {
+        const id = NewsPosts.getIdFromHash(window.location.hash);
+        const article = id ? document.getElementById(`news/${id}`) : null;
+        if (!article) return false;
+
+        Utils.smoothScroll(article);
+        return true;
+    }
+
+    renderError() {
+        this.container.replaceChildren(Utils.createElement(
+            'p',
+            'text-stone-600 text-center',
+            I18n.t('news.loadError')
+        ));
+    }
+
+    /**
+     * 掲載日を表示用に整形
+     * @param {string} date - YYYY-MM-DD 形式の日付
+     * @returns {string} 例: 2026年10月10日
+     */
+    static formatDate(date) {
+        return I18n.formatDate(date, { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * Café Serenity - 営業時間
+ * 営業時間の判定処理（ブラウザとNodeのリファレンスサーバーで共有）
+ */
+
+(function (root) {
+    'use strict';
+
+    // 営業時間の定義は店舗情報（js/business-profile.js）から取得
+    const profile = typeof module !== 'undefined' && module.exports
+        ? require('./business-profile')
+        : root.BusinessProfile;
+
+    // 日付が固定の祝日（MM-DD）
+    const FIXED_HOLIDAYS = ['01-01', '02-11', '02-23', '04-29', '05-03', '05-04', '05-05', '08-11', '11-03', '11-23'];
+
+    // 月曜日の祝日（[月, 第何月曜日]）: 成人の日・海の日・敬老の日・スポーツの日
+    const MONDAY_HOLIDAYS = [[1, 2], [7, 3], [9, 3], [10, 2]];
+
+    // 年ごとの祝日（getHolidays の結果）
+    const holidayCache = new Map();
+
+    const OpeningHours = {
+        TIMEZONE: profile.hours.timezone,
+        LAST_RESERVATION_MINUTES: profile.hours.lastReservationMinutes,
+        WEEKLY: profile.hours.weekly,
+        HOLIDAY_HOURS: profile.hours.holiday,
+        EXCEPTIONS: profile.hours.exceptions,
+
+        /**
+         * 営業時間のタイムゾーンでの現在日時を取得
+         * @param {Date} [now] - 基準日時
+         * @returns {{date: string, time: string}} YYYY-MM-DD と HH:MM 形式の日時
+         */
+        now(now = new Date()) {
+            const parts = new Intl.DateTimeFormat('en-CA', {
+                timeZone: this.TIMEZONE,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }).formatToParts(now).reduce((result, part) => {
+                result[part.type] = part.value;
+                return result;
+            }, {});
+
+            return {
+                date: `${parts.year}-${parts.month}-${parts.day}`,
+                time: `${parts.hour}:${parts.minute}`
+            };
+        },
+
+        /**
+         * 日付文字列の曜日を取得（タイムゾーンに依存しない）
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @returns {number|null} 曜日（0: 日曜日）、不正な日付なら null
+         */
+        getDayOfWeek(date) {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+            if (!match) return null;
+
+            const [, year, month, day] = match.map(Number);
+            const utc = new Date(Date.UTC(year, month - 1, day));
+            if (utc.getUTCMonth() !== month - 1 || utc.getUTCDate() !== day) return null;
+
+            return utc.getUTCDay();
+        },
+
+        /**
+         * 指定日に適用される臨時営業・臨時休業を取得
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @returns {Object|null} 該当する例外、なければ null
+         */
+        getException(date) {
+            return this.EXCEPTIONS.find(exception => exception.from <= date && date <= exception.to) || null;
+        },
+
+        /**
+         * 指定日の営業時間を取得
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @returns {{opens: string, closes: string}|null} 営業時間、休業日なら null
+         */
+        getHours(date) {
+            const day = this.getDayOfWeek(date);
+            if (day === null) return null;
+
+            const exception = this.getException(date);
+            if (exception) return exception.hours;
+
+            const weekly = this.WEEKLY[day];
+            return weekly && this.isHoliday(date) ? this.HOLIDAY_HOURS : weekly;
+        },
+
+        /**
+         * 祝日か（振替休日・国民の休日を含む）
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @returns {boolean}
+         */
+        isHoliday(date) {
+            return this.getHolidays(Number(date.slice(0, 4))).includes(date);
+        },
+
+        /**
+         * 指定した年の祝日を「国民の祝日に関する法律」の規定から求める
+         * 春分・秋分の日は毎年2月の官報で公示されるため、天文計算の近似式（1980〜2099年）で求める
+         * 法改正などで規定と異なる年は、臨時営業・臨時休業（exceptions）で指定する
+         * @param {number} year - 年
+         * @returns {Array<string>} YYYY-MM-DD 形式の日付（昇順）
+         */
+        getHolidays(year) {
+            if (holidayCache.has(year)) return holidayCache.get(year);
+
+            const pad = (value) => String(value).padStart(2, '0');
+            const toDate = (month, day) => `${year}-${pad(month)}-${pad(day)}`;
+            const national = new Set(FIXED_HOLIDAYS.map(monthDay => `${year}-${monthDay}`));
+
+            MONDAY_HOLIDAYS.forEach(([month, week]) => {
+                const firstMonday = 1 + (8 - this.getDayOfWeek(toDate(month, 1))) % 7;
+                national.add(toDate(month, firstMonday + (week - 1) * 7));
+            });
+
+            const offset = year - 1980;
+            const leapDays = Math.floor(offset / 4);
+            national.add(toDate(3, Math.floor(20.8431 + 0.242194 * offset - leapDays)));
+            national.add(toDate(9, Math.floor(23.2488 + 0.242194 * offset - leapDays)));
+
+            const holidays = new Set(national);
+
+            // 国民の休日: 前日と翌日が祝日の日
+            national.forEach(date => {
+                const next = this.addDays(date, 1);
+                if (!national.has(next) && national.has(this.addDays(date, 2))) holidays.add(next);
+            });
+
+            // 振替休日: 日曜日の祝日の後で、最初の祝日でない日
+            national.forEach(date => {
+                if (this.getDayOfWeek(date) !== 0) return;
+
+                let substitute = this.addDays(date, 1);
+                while (national.has(substitute)) substitute = this.addDays(substitute, 1);
+                holidays.add(substitute);
+            });
+
+            const result = [...holidays].sort();
+            holidayCache.set(year, result);
+            return result;
+        },
+
+        /**
+         * 日付に日数を加算
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @param {number} days - 加算する日数
+         * @returns {string} YYYY-MM-DD 形式の日付
+         */
+        addDays(date, days) {
+            const [year, month, day] = date.split('-').map(Number);
+            return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+        },
+
+        /**
+         * 現在の営業状況を取得
+         * @param {Date} [now] - 基準日時
+         * @returns {{isOpen: boolean, closes: string|null, closedToday: boolean, exception: Object|null, next: {date: string, opens: string, daysAhead: number}|null}}
+         */
+        getStatus(now = new Date()) {
+            const current = this.now(now);
+            const today = this.getHours(current.date);
+            const status = {
+                isOpen: false,
+                closes: null,
+                closedToday: !today,
+                exception: this.getException(current.date),
+                next: null
+            };
+
+            if (today && current.time >= today.opens && current.time < today.closes) {
+                status.isOpen = true;
+                status.closes = today.closes;
+                return status;
+            }
+
+            // 次の開店日時を探す（年末年始などの連休を考慮して最大2週間先まで）
+            for (let daysAhead = 0; daysAhead <= 14; daysAhead++) {
+                const date = this.addDays(current.date, daysAhead);
+                const hours = this.getHours(date);
+                if (!hours || (daysAhead === 0 && current.time >= hours.opens)) continue;
+
+                status.next = { date, opens: hours.opens, daysAhead };
+                break;
+            }
+
+            return status;
+        },
+
+        /**
+         * 指定期間内に始まる、または期間中の臨時営業・臨時休業を取得
+         * @param {number} days - 何日先まで対象とするか
+         * @param {Date} [now] - 基準日時
+         * @returns {Array<Object>}
+         */
+        getUpcomingExceptions(days, now = new Date()) {
+            const today = this.now(now).date;
+            const until = this.addDays(today, days);
+            return this.EXCEPTIONS.filter(exception => exception.to >= today && exception.from <= until);
+        },
+
+        /**
+         * 指定日に予約を受け付ける時間帯を取得
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @returns {{from: string, to: string}|null} 受付開始・最終受付時刻、休業日なら null
+         */
+        getReservationWindow(date) {
+            const hours = this.getHours(date);
+            if (!hours) return null;
+
+            return {
+                from: hours.opens,
+                to: toTime(toMinutes(hours.closes) - this.LAST_RESERVATION_MINUTES)
+            };
+        },
+
+        /**
+         * 予約日時が受付可能か判定
+         * 時刻を省略した場合は日付のみを判定する
+         * @param {string} date - YYYY-MM-DD 形式の日付
+         * @param {string} [time] - HH:MM 形式の時刻
+         * @param {Date} [now] - 基準日時
+         * @returns {string|null} 受付不可の理由（'invalid' | 'past' | 'closed' | 'outside-hours'）、受付可能なら null
+         */
+        checkSlot(date, time, now = new Date()) {
+            if (this.getDayOfWeek(date) === null) return 'invalid';
+            if (time !== undefined && !/^\d{2}:\d{2}$/.test(time)) return 'invalid';
+
+            const current = this.now(now);
+            if (date < current.date) return 'past';
+
+            const range = this.getReservationWindow(date);
+            if (!range) return 'closed';
+            if (time === undefined) return null;
+
+            if (date === current.date && time <= current.time) return 'past';
+            if (time < range.from || time > range.to) return 'outside-hours';
+
+            return null;
+        }
+    };
+
+    // HH:MM を分に変換
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    // 分を HH:MM に変換
+    function toTime(minutes) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OpeningHours;
+    } else {
+        root.OpeningHours = OpeningHours;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,64 @@
+/**
+ * Café Serenity - Service Worker とのメッセージ通信
+ * MessageChannel でコマンドを送り、Service Worker（sw.js）からの応答を受け取る
+ *
+ * コマンド（sw.js の MESSAGE_HANDLERS と対応）
+ *   GET_CACHED_PAGE  { url }  指定したページの保存版と、保存済みのページ一覧
+ *   GET_CACHED_PAGES          保存済みのページ一覧
+ *   GET_CACHE_STATUS          キャッシュのバージョンと保存件数
+ *   CLEAR_CACHES              保存したページ・データ・画像を削除（オフライン用のファイルは残す）
+ */
+
+(function (root) {
+    'use strict';
+
+    const ServiceWorkerChannel = {
+        // 応答を待つ時間（ミリ秒）
+        TIMEOUT: 5000,
+
+        /**
+         * ページを制御している Service Worker があるか
+         * @returns {boolean}
+         */
+        isAvailable() {
+            return 'serviceWorker' in root.navigator && Boolean(root.navigator.serviceWorker.controller);
+        },
+
+        /**
+         * コマンドを送信して応答を待つ
+         * @param {string} type - コマンド名
+         * @param {Object} [payload] - コマンドの引数
+         * @returns {Promise<*>} Service Worker からの結果
+         * @throws {Error} 制御している Service Worker がない・応答がない・コマンドが失敗した場合
+         */
+        request(type, payload = {}) {
+            if (!this.isAvailable()) {
+                return Promise.reject(new Error('No active service worker'));
+            }
+
+            return new Promise((resolve, reject) => {
+                const channel = new MessageChannel();
+                const timer = setTimeout(() => {
+                    channel.port1.close();
+                    reject(new Error(`${type} timed out`));
+                }, this.TIMEOUT);
+
+                channel.port1.onmessage = (event) => {
+                    clearTimeout(timer);
+                    channel.port1.close();
+
+                    const { ok, result, error } = event.data || {};
+                    if (ok) {
+                        resolve(result);
+                    } else {
+                        reject(new Error(error || `${type} failed`));
+                    }
+                };
+
+                root.navigator.serviceWorker.controller.postMessage({ type, ...payload }, [channel.port2]);
+            });
+        }
+    };
+
+    root.ServiceWorkerChannel = ServiceWorkerChannel;
+})(typeof self !== 'undefined' ? self : this);
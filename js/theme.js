@@ -0,0 +1,102 @@
+/**
+ * Café Serenity - 表示テーマ
+ * ライト・ダーク・ハイコントラストの切り替え（選択していない場合は端末の設定に従う）
+ *
+ * 描画前にテーマを反映するため、<head> で defer なしで読み込む
+ * 読み込んだ時点で <html data-theme> と meta[name="theme-color"] を設定する
+ * 色の定義は css/critical.css のカスタムプロパティ、切り替えボタンは js/main.js の ThemeSwitcher
+ */
+
+(function (root) {
+    'use strict';
+
+    const Theme = {
+        THEMES: ['light', 'dark', 'contrast'],
+
+        // テーマを選択していない（端末の設定に従う）
+        AUTO: 'auto',
+
+        STORAGE_KEY: 'cafe-serenity-theme',
+
+        // ブラウザのツールバーなどの色（meta[name="theme-color"]）
+        COLORS: {
+            light: '#a8a29e',
+            dark: '#1c1917',
+            contrast: '#000000'
+        },
+
+        // 端末の設定（上にあるものを優先）
+        MEDIA_QUERIES: [
+            ['(prefers-contrast: more)', 'contrast'],
+            ['(prefers-color-scheme: dark)', 'dark']
+        ],
+
+        preference: 'auto',
+        current: 'light',
+
+        init() {
+            const stored = root.LocalStore.read(this.STORAGE_KEY);
+            this.preference = this.THEMES.includes(stored) ? stored : this.AUTO;
+            this.apply();
+
+            // テーマを選択していなければ、端末の設定の変更に追従する
+            this.MEDIA_QUERIES.forEach(([query]) => {
+                const media = root.matchMedia(query);
+                const listener = () => {
+                    if (this.preference === this.AUTO) this.apply();
+                };
+                if (media.addEventListener) {
+                    media.addEventListener('change', listener);
+                } else {
+                    media.addListener(listener);
+                }
+            });
+        },
+
+        /**
+         * 表示するテーマ
+         * @param {string} [preference] - 選択したテーマ（'auto' なら端末の設定）
+         * @returns {string} 'light' | 'dark' | 'contrast'
+         */
+        resolve(preference = this.preference) {
+            if (preference !== this.AUTO) return preference;
+
+            const match = this.MEDIA_QUERIES.find(([query]) => root.matchMedia(query).matches);
+            return match ? match[1] : 'light';
+        },
+
+        /**
+         * テーマを選択して保存する
+         * @param {string} preference - 'auto' | 'light' | 'dark' | 'contrast'
+         */
+        setPreference(preference) {
+            if (preference !== this.AUTO && !this.THEMES.includes(preference)) return;
+
+            this.preference = preference;
+            if (preference === this.AUTO) {
+                root.LocalStore.remove(this.STORAGE_KEY);
+            } else {
+                root.LocalStore.write(this.STORAGE_KEY, preference);
+            }
+            this.apply();
+        },
+
+        // テーマを反映し、themechange イベントを発行する
+        apply() {
+            this.current = this.resolve();
+            root.document.documentElement.dataset.theme = this.current;
+
+            const meta = root.document.querySelector('meta[name="theme-color"]');
+            if (meta) {
+                meta.setAttribute('content', this.COLORS[this.current]);
+            }
+
+            root.document.dispatchEvent(new CustomEvent('themechange', {
+                detail: { theme: this.current, preference: this.preference }
+            }));
+        }
+    };
+
+    root.Theme = Theme;
+    Theme.init();
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,147 @@
+/**
+ * Café Serenity - アクセス解析の集計スクリプト
+ * 開発用サーバー（server/server.js）が保存したイベントを集計し、セクションの到達率・CTAのクリック数・フォームの離脱を表示する
+ *
+ * イベントは server/data（DATA_DIR）から読み込むため、サーバーと同じ環境変数で実行する
+ *
+ * 使い方: node scripts/analytics-report.js [--since YYYY-MM-DD] [--json]
+ *   --since  指定した日（UTC）以降に受信したイベントのみ集計
+ *   --json   集計結果をJSONで出力
+ */
+
+'use strict';
+
+const { FORM_STEPS, STORE_FILE, readRecords } = require('../server/analytics');
+
+// フォームの入力を終えた段階（これ以外の段階でページを離れた場合を離脱とする）
+const COMPLETED_STEPS = ['sent', 'queued'];
+
+/**
+ * イベントを集計する
+ * @param {Array<Object>} records - 保存したイベント
+ * @returns {Object} 集計結果
+ */
+function summarize(records) {
+    const views = new Set();
+    const sections = {};
+    const ctas = {};
+    const steps = Object.fromEntries(FORM_STEPS.map(step => [step, 0]));
+    const abandoned = Object.fromEntries(FORM_STEPS.filter(step => !COMPLETED_STEPS.includes(step)).map(step => [step, 0]));
+
+    // セクションの表示はページの表示ごとに1回だけ数える
+    const sectionViews = new Set();
+    const count = (target, key) => {
+        target[key] = (target[key] || 0) + 1;
+    };
+
+    records.forEach(({ view, type, name }) => {
+        switch (type) {
+            case 'page_view':
+                views.add(view);
+                break;
+            case 'section_view':
+                if (!sectionViews.has(`${view} ${name}`)) {
+                    sectionViews.add(`${view} ${name}`);
+                    count(sections, name);
+                }
+                break;
+            case 'cta_click':
+                count(ctas, name);
+                break;
+            case 'form_step':
+                count(steps, name);
+                break;
+            case 'form_abandon':
+                count(abandoned, name);
+                break;
+        }
+    });
+
+    const dates = records.map(record => record.receivedAt).sort();
+
+    return {
+        from: dates.length ? dates[0].slice(0, 10) : null,
+        to: dates.length ? dates[dates.length - 1].slice(0, 10) : null,
+        views: views.size,
+        sections,
+        ctas,
+        form: { steps, abandoned }
+    };
+}
+
+function percent(value, total) {
+    return total ? `${((value / total) * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * 集計結果を表形式の文字列にする
+ * @param {Object} summary - summarize の結果
+ * @returns {string}
+ */
+function format(summary) {
+    const { views, sections, ctas, form } = summary;
+    const rows = (entries, total) => {
+        if (!entries.length) return ['  (none)'];
+        const width = Math.max(...entries.map(([name]) => name.length));
+        return entries.map(([name, value]) => {
+            const share = total === undefined ? '' : `  ${percent(value, total)}`;
+            return `  ${name.padEnd(width)}  ${String(value).padStart(5)}${share}`;
+        });
+    };
+    const byCount = object => Object.entries(object).sort((a, b) => b[1] - a[1]);
+    const totalAbandoned = Object.values(form.abandoned).reduce((sum, value) => sum + value, 0);
+
+    return [
+        `Period: ${summary.from || '-'} - ${summary.to || '-'}`,
+        `Page views: ${views}`,
+        '',
+        'Sections reached (share of page views):',
+        ...rows(byCount(sections), views),
+        '',
+        'CTA clicks:',
+        ...rows(byCount(ctas)),
+        '',
+        'Form funnel (share of started):',
+        ...rows(Object.entries(form.steps), form.steps.start),
+        '',
+        `Form abandoned: ${totalAbandoned} (${percent(totalAbandoned, form.steps.start)} of started), by last step:`,
+        ...rows(Object.entries(form.abandoned), totalAbandoned)
+    ].join('\n');
+}
+
+/**
+ * `--name value` 形式の引数と `--flag` を読み込む
+ * @param {Array<string>} args - コマンドライン引数
+ * @returns {{since?: string, json: boolean}}
+ */
+function parseArgs(args) {
+    const options = { json: false };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--json') {
+            options.json = true;
+        } else if (args[i] === '--since' && /^\d{4}-\d{2}-\d{2}$/.test(args[i + 1] || '')) {
+            options.since = args[++i];
+        } else {
+            throw new Error(`Invalid argument: ${args[i]}\nUsage: node scripts/analytics-report.js [--since YYYY-MM-DD] [--json]`);
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const { since, json } = parseArgs(process.argv.slice(2));
+    const records = (await readRecords()).filter(record => !since || record.receivedAt.slice(0, 10) >= since);
+
+    if (!records.length && !json) {
+        console.log(`No analytics events in ${STORE_FILE}`);
+        return;
+    }
+
+    const summary = summarize(records);
+    console.log(json ? JSON.stringify(summary, null, 2) : format(summary));
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
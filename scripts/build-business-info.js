@@ -0,0 +1,281 @@
+/**
+ * Café Serenity - 店舗情報ビルドスクリプト
+ * js/business-profile.js から index.html の構造化データ（JSON-LD）、
+ * Info・Contact Information・フッターの店舗情報を再生成する
+ *
+ * index.html の `<!-- business:名前 -->` 〜 `<!-- /business:名前 -->` の間を置き換える
+ *
+ * 使い方: node scripts/build-business-info.js [--check]
+ *   --check  生成結果と index.html が一致しない場合に終了コード1で終了（書き込みなし）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const profile = require('../js/business-profile');
+const OpeningHours = require('../js/opening-hours');
+
+const INDEX_FILE = path.join(__dirname, '..', 'index.html');
+
+const DAY_NAMES_EN = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const DAY_NAMES_JA = ['日曜日', '月曜日', '火曜日', '水曜日', '木曜日', '金曜日', '土曜日'];
+
+// 表示順（月曜始まり）
+const DISPLAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// 属性値・テキストとして埋め込む文字列をエスケープ
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * 表示言語ごとの文言を持つ要素を生成（js/i18n.js が data-i18n-<言語> で切り替える）
+ * @param {string} tag - タグ名
+ * @param {{ja: string, en: string}} text - 言語ごとの文言
+ * @returns {string} 例: <p data-i18n-ja="..." data-i18n-en="...">...</p>
+ */
+function localized(tag, text) {
+    return `<${tag} data-i18n-ja="${escapeHtml(text.ja)}" data-i18n-en="${escapeHtml(text.en)}">${escapeHtml(text.ja)}</${tag}>`;
+}
+
+// 08:00 → 8:00
+function formatTime(time) {
+    return time.replace(/^0/, '');
+}
+
+function isSameHours(a, b) {
+    return Boolean(a && b) && a.opens === b.opens && a.closes === b.closes;
+}
+
+/**
+ * 営業時間が同じ曜日をまとめる（定休日をはさんでも連続として扱う）
+ * 例: 月・火・木・金が同じ営業時間なら「月曜日 - 金曜日」の1行にまとめる
+ * @returns {Array<{days: Array<number>, hours: Object, includesHolidays: boolean}>}
+ */
+function groupWeeklyHours() {
+    const { weekly, holiday } = profile.hours;
+    const groups = [];
+
+    DISPLAY_ORDER.filter(day => weekly[day]).forEach(day => {
+        const last = groups[groups.length - 1];
+        if (last && isSameHours(last.hours, weekly[day])) {
+            last.days.push(day);
+        } else {
+            groups.push({ days: [day], hours: weekly[day], includesHolidays: false });
+        }
+    });
+
+    // 祝日の営業時間が日曜日と同じ場合は「日曜・祝日」にまとめる
+    const sundayGroup = groups.find(group => group.days.length === 1 && group.days[0] === 0);
+    if (sundayGroup && isSameHours(sundayGroup.hours, holiday)) {
+        sundayGroup.includesHolidays = true;
+    } else if (holiday) {
+        groups.push({ days: [], hours: holiday, includesHolidays: true });
+    }
+
+    return groups;
+}
+
+function formatDaysEn({ days, includesHolidays }) {
+    const range = days.length > 1
+        ? `${DAY_NAMES_EN[days[0]]} - ${DAY_NAMES_EN[days[days.length - 1]]}`
+        : (days.length ? DAY_NAMES_EN[days[0]] : '');
+    if (!includesHolidays) return range;
+    return range ? `${range} & Holidays` : 'Holidays';
+}
+
+function formatDaysJa({ days, includesHolidays }) {
+    const range = days.length > 1
+        ? `${DAY_NAMES_JA[days[0]]} - ${DAY_NAMES_JA[days[days.length - 1]]}`
+        : (days.length ? DAY_NAMES_JA[days[0]] : '');
+    if (!includesHolidays) return range;
+    return range ? `${range.replace(/日$/, '')}・祝日` : '祝日';
+}
+
+function formatHours({ hours }) {
+    return `${formatTime(hours.opens)} - ${formatTime(hours.closes)}`;
+}
+
+// 定休日（例: 毎週水曜日 / Every Wednesday）
+function formatClosedDays() {
+    const closed = DISPLAY_ORDER.filter(day => !profile.hours.weekly[day]);
+    if (!closed.length) return { ja: 'なし', en: 'None' };
+
+    return {
+        ja: `毎週${closed.map(day => DAY_NAMES_JA[day]).join('・')}`,
+        en: `Every ${closed.map(day => DAY_NAMES_EN[day]).join(' & ')}`
+    };
+}
+
+/**
+ * 曜日の営業時間と異なる日（臨時営業・臨時休業と、今年・来年の祝日）
+ * 営業時間は OpeningHours から求めるため、定休日と重なる祝日は休業になる
+ * 年が変わると生成結果も変わるため、年始に再生成する（--check で検出できる）
+ * @param {Date} [now] - 基準日時
+ * @returns {Array<{from: string, to: string, hours: Object|null}>} 開始日順
+ */
+function getSpecialDays(now = new Date()) {
+    const year = Number(OpeningHours.now(now).date.slice(0, 4));
+    const holidays = [...OpeningHours.getHolidays(year), ...OpeningHours.getHolidays(year + 1)]
+        .filter(date => !OpeningHours.getException(date))
+        .map(date => ({ from: date, to: date, hours: OpeningHours.getHours(date) }));
+
+    return [...OpeningHours.EXCEPTIONS, ...holidays].sort((a, b) => a.from.localeCompare(b.from));
+}
+
+/**
+ * schema.org の構造化データを生成
+ * @returns {Object}
+ */
+function buildStructuredData() {
+    const { weekly } = profile.hours;
+    const { address } = profile;
+
+    // 同じ営業時間の曜日をまとめる（定休日は含めない）
+    // 祝日の営業時間は日付ごとに specialOpeningHoursSpecification で示す
+    const specifications = [];
+    const addSpecification = (dayName, hours) => {
+        const existing = specifications.find(spec => isSameHours(spec.hours, hours));
+        if (existing) {
+            existing.days.push(dayName);
+        } else {
+            specifications.push({ days: [dayName], hours });
+        }
+    };
+    DISPLAY_ORDER.filter(day => weekly[day]).forEach(day => addSpecification(DAY_NAMES_EN[day], weekly[day]));
+
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'CafeOrCoffeeShop',
+        name: profile.name,
+        description: profile.description,
+        url: profile.url,
+        telephone: profile.telephone.international,
+        email: profile.email,
+        address: {
+            '@type': 'PostalAddress',
+            streetAddress: `${address.locality}${address.street}`,
+            addressLocality: address.locality,
+            addressRegion: address.region,
+            postalCode: address.postalCode,
+            addressCountry: address.country
+        },
+        openingHoursSpecification: specifications.map(({ days, hours }) => ({
+            '@type': 'OpeningHoursSpecification',
+            dayOfWeek: days.length === 1 ? days[0] : days,
+            opens: hours.opens,
+            closes: hours.closes
+        }))
+    };
+
+    // 臨時営業・臨時休業・祝日（休業は opens/closes を 00:00 とする）
+    const specialDays = getSpecialDays();
+    if (specialDays.length) {
+        data.specialOpeningHoursSpecification = specialDays.map(day => ({
+            '@type': 'OpeningHoursSpecification',
+            validFrom: day.from,
+            validThrough: day.to,
+            opens: day.hours ? day.hours.opens : '00:00',
+            closes: day.hours ? day.hours.closes : '00:00'
+        }));
+    }
+
+    return Object.assign(data, {
+        priceRange: profile.priceRange,
+        servesCuisine: profile.servesCuisine,
+        acceptsReservations: profile.acceptsReservations,
+        image: profile.image
+    });
+}
+
+// 置き換え対象の領域（ブロックは行の配列、インラインは文字列を返す）
+const REGIONS = {
+    'json-ld': () => [
+        '<script type="application/ld+json">',
+        ...JSON.stringify(buildStructuredData(), null, 2).split('\n'),
+        '</script>'
+    ],
+    'hours-en': () => groupWeeklyHours().flatMap(group => [
+        '<div class="flex justify-between items-center py-6 border-b border-stone-200">',
+        `    <span class="text-lg text-stone-700">${formatDaysEn(group)}</span>`,
+        `    <span class="text-lg font-light text-stone-700">${formatHours(group)}</span>`,
+        '</div>'
+    ]),
+    'hours-ja': () => groupWeeklyHours().flatMap(group => [
+        '<div class="flex justify-between">',
+        `    ${localized('span', { ja: formatDaysJa(group), en: formatDaysEn(group) })}`,
+        `    <span>${formatHours(group)}</span>`,
+        '</div>'
+    ]),
+    'access': () => profile.access.map(line => localized('p', line)),
+    'closed-days': () => localized('span', formatClosedDays()),
+    'postal-code': () => `〒${profile.address.postalCode}`,
+    'address': () => profile.getFullAddress(),
+    'phone': () => profile.telephone.display,
+    'email': () => profile.email
+};
+
+/**
+ * マーカー間の内容を生成結果で置き換える
+ * @param {string} html - 元のHTML
+ * @returns {string} 置き換え後のHTML
+ */
+function render(html) {
+    const unknown = new Set();
+
+    const result = html.replace(/<!-- business:([\w-]+) -->([\s\S]*?)<!-- \/business:\1 -->/g, (match, name, inner, offset) => {
+        const region = REGIONS[name];
+        if (!region) {
+            unknown.add(name);
+            return match;
+        }
+
+        const content = region();
+        const open = `<!-- business:${name} -->`;
+        const close = `<!-- /business:${name} -->`;
+
+        if (!Array.isArray(content)) {
+            return `${open}${content}${close}`;
+        }
+
+        // ブロックはマーカー行のインデントに揃える
+        const indent = html.slice(html.lastIndexOf('\n', offset) + 1, offset);
+        const lines = content.map(line => `${indent}${line}`).join('\n');
+        return `${open}\n${lines}\n${indent}${close}`;
+    });
+
+    if (unknown.size) {
+        throw new Error(`Unknown business region(s): ${[...unknown].join(', ')}`);
+    }
+
+    return result;
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const html = fs.readFileSync(INDEX_FILE, 'utf8');
+    const output = render(html);
+
+    if (output === html) {
+        console.log('index.html is up to date.');
+        return;
+    }
+
+    if (checkOnly) {
+        console.error('index.html is out of date. Run: node scripts/build-business-info.js');
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(INDEX_FILE, output, 'utf8');
+    console.log('index.html updated from js/business-profile.js');
+}
+
+main();
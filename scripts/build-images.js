@@ -0,0 +1,127 @@
+/**
+ * Café Serenity - 画像ビルドスクリプト
+ * ギャラリー・ヒーロー画像から幅ごとの WebP/AVIF とぼかし用プレースホルダーを生成する
+ *
+ * 出力: images/<ディレクトリ>/optimized/
+ *   <名前>-<幅>.avif / <名前>-<幅>.webp  srcset 用のリサイズ画像
+ *   <名前>-placeholder.webp              読み込み中に表示する極小画像（CSSでぼかす）
+ *
+ * 元画像より大きい幅は拡大せず元のサイズで出力する（ファイル名は固定のため
+ * index.html の srcset を画像ごとに書き換える必要はない）
+ *
+ * ImageMagick 7（AVIF対応ビルド）が必要。別のコマンド名の場合は MAGICK_BIN で指定
+ * 使い方: node scripts/build-images.js [--force]
+ *   --force  元画像より新しい出力があっても再生成する
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const ROOT = path.join(__dirname, '..');
+const MAGICK = process.env.MAGICK_BIN || 'magick';
+
+// 対象ディレクトリと生成する幅（index.html・critical.css の srcset / image-set と対応）
+const SOURCES = [
+    { dir: 'images/gallery', widths: [400, 800, 1200] },
+    { dir: 'images/hero', widths: [768, 1280, 1920] }
+];
+
+const FORMATS = [
+    { ext: 'avif', quality: 50 },
+    { ext: 'webp', quality: 75 }
+];
+
+const PLACEHOLDER = { width: 32, quality: 40 };
+
+/**
+ * 出力が元画像より新しければ生成を省略する
+ * @param {string} source - 元画像のパス
+ * @param {string} output - 出力先のパス
+ * @param {boolean} force - 常に再生成するか
+ * @returns {boolean}
+ */
+function isUpToDate(source, output, force) {
+    if (force || !fs.existsSync(output)) return false;
+    return fs.statSync(output).mtimeMs >= fs.statSync(source).mtimeMs;
+}
+
+/**
+ * ImageMagick でリサイズ・変換する（メタデータは削除）
+ * @param {string} source - 元画像のパス
+ * @param {string} output - 出力先のパス
+ * @param {number} width - 最大幅
+ * @param {number} quality - 画質
+ */
+function convert(source, output, width, quality) {
+    execFileSync(MAGICK, [
+        source,
+        '-resize', `${width}x>`,
+        '-strip',
+        '-quality', String(quality),
+        output
+    ], { stdio: 'inherit' });
+}
+
+function main() {
+    const force = process.argv.includes('--force');
+
+    try {
+        execFileSync(MAGICK, ['-version'], { stdio: 'ignore' });
+    } catch (error) {
+        console.error(`ImageMagick (${MAGICK}) not found. Install it or set MAGICK_BIN.`);
+        process.exitCode = 1;
+        return;
+    }
+
+    let generated = 0;
+    let skipped = 0;
+
+    SOURCES.forEach(({ dir, widths }) => {
+        const sourceDir = path.join(ROOT, dir);
+        if (!fs.existsSync(sourceDir)) {
+            console.warn(`Skipping ${dir}: directory not found`);
+            return;
+        }
+
+        const outputDir = path.join(sourceDir, 'optimized');
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        fs.readdirSync(sourceDir)
+            .filter(file => /\.(png|jpe?g)$/i.test(file))
+            .forEach(file => {
+                const source = path.join(sourceDir, file);
+                const name = path.parse(file).name;
+
+                const jobs = [
+                    ...widths.flatMap(width => FORMATS.map(format => ({
+                        output: path.join(outputDir, `${name}-${width}.${format.ext}`),
+                        width,
+                        quality: format.quality
+                    }))),
+                    {
+                        output: path.join(outputDir, `${name}-placeholder.webp`),
+                        width: PLACEHOLDER.width,
+                        quality: PLACEHOLDER.quality
+                    }
+                ];
+
+                jobs.forEach(({ output, width, quality }) => {
+                    if (isUpToDate(source, output, force)) {
+                        skipped++;
+                        return;
+                    }
+
+                    convert(source, output, width, quality);
+                    console.log(`  ${path.relative(ROOT, output)}`);
+                    generated++;
+                });
+            });
+    });
+
+    console.log(`Generated ${generated} image(s), ${skipped} up to date.`);
+}
+
+main();
@@ -0,0 +1,225 @@
+/**
+ * Café Serenity - お知らせのフィード・サイトマップ生成スクリプト
+ * data/news.json から Atom フィード（日本語: feed.xml、英語: feed-en.xml）を生成し、
+ * sitemap.xml の `<!-- news:posts -->` 〜 `<!-- /news:posts -->` の間に記事のURLを書き込む
+ *
+ * フィードには掲載期限を過ぎた記事も含める（購読者のフィードリーダーには履歴として残るため）
+ * 不要になった記事は data/news.json から削除して再生成する
+ *
+ * 使い方: node scripts/build-news.js [--check]
+ *   --check  生成結果とファイルが一致しない場合に終了コード1で終了（書き込みなし）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const profile = require('../js/business-profile');
+const NewsPosts = require('../js/news-posts');
+
+const ROOT = path.join(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'news.json');
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+
+// 掲載日は日本時間（js/business-profile.js の hours.timezone）
+const UTC_OFFSET = '+09:00';
+
+// フィードに含める記事の数
+const FEED_LIMIT = 20;
+
+// 言語ごとのフィード（英語のページは ?lang=en）
+const FEEDS = [
+    {
+        locale: 'ja',
+        file: 'feed.xml',
+        pageUrl: profile.url,
+        title: `${profile.name} お知らせ`,
+        subtitle: '季節のメニュー・営業時間・イベントのお知らせ'
+    },
+    {
+        locale: 'en',
+        file: 'feed-en.xml',
+        pageUrl: `${profile.url}?lang=en`,
+        title: `${profile.name} News`,
+        subtitle: 'Seasonal menus, opening hours and events'
+    }
+];
+
+function escapeXml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * 言語ごとの値（{ja, en}）または文字列から文言を取り出す（js/i18n.js の I18n.pick と同じ規則）
+ * @param {Object|string} value - 文言
+ * @param {string} locale - 表示言語
+ * @returns {string}
+ */
+function pick(value, locale) {
+    if (!value || typeof value !== 'object') return value;
+    return value[locale] ?? value.ja;
+}
+
+function toDateTime(date) {
+    return `${date}T00:00:00${UTC_OFFSET}`;
+}
+
+/**
+ * 記事のURL
+ * @param {Object} post - 記事
+ * @param {string} pageUrl - ページのURL
+ * @returns {string}
+ */
+function postUrl(post, pageUrl) {
+    return `${pageUrl}${NewsPosts.getHash(post)}`;
+}
+
+// フィードの更新日時（最も新しい記事の掲載日・更新日）
+function latestDate(posts) {
+    return posts.map(post => post.updated || post.date).sort().pop();
+}
+
+/**
+ * Atom フィードを生成
+ * @param {Object} feed - FEEDS の要素
+ * @param {{categories: Array<Object>, posts: Array<Object>}} data - data/news.json の内容
+ * @returns {string}
+ */
+function buildFeed(feed, { categories, posts }) {
+    const { locale, pageUrl } = feed;
+    const host = new URL(profile.url).hostname;
+    // フィードはピン留めに関係なく新しい順
+    const entries = [...posts]
+        .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+        .slice(0, FEED_LIMIT);
+
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${locale}">`,
+        `    <title>${escapeXml(feed.title)}</title>`,
+        `    <subtitle>${escapeXml(feed.subtitle)}</subtitle>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(`${pageUrl}#news`)}"/>`,
+        `    <link rel="self" type="application/atom+xml" href="${escapeXml(`${profile.url}${feed.file}`)}"/>`,
+        `    <id>${escapeXml(`${profile.url}${feed.file}`)}</id>`,
+        `    <updated>${toDateTime(latestDate(posts) || '2025-01-01')}</updated>`,
+        '    <author>',
+        `        <name>${escapeXml(profile.name)}</name>`,
+        `        <email>${escapeXml(profile.email)}</email>`,
+        '    </author>',
+        `    <icon>${escapeXml(`${profile.url}images/icons/favicon-96x96.png`)}</icon>`
+    ];
+
+    entries.forEach(post => {
+        const category = categories.find(item => item.id === post.category);
+        // 記事のIDはURL（ハッシュ）を変えても変わらないよう tag URI にする
+        lines.push(
+            '    <entry>',
+            `        <id>tag:${host},${post.date}:news/${post.id}:${locale}</id>`,
+            `        <title>${escapeXml(pick(post.title, locale))}</title>`,
+            `        <link rel="alternate" type="text/html" href="${escapeXml(postUrl(post, pageUrl))}"/>`,
+            `        <published>${toDateTime(post.date)}</published>`,
+            `        <updated>${toDateTime(post.updated || post.date)}</updated>`,
+            `        <category term="${escapeXml(post.category)}" label="${escapeXml(pick(category.name, locale))}"/>`,
+            `        <summary type="text">${escapeXml(pick(post.body, locale))}</summary>`,
+            '    </entry>'
+        );
+    });
+
+    lines.push('</feed>');
+    return `${lines.join('\n')}\n`;
+}
+
+/**
+ * サイトマップの記事のURL（お知らせセクションと各記事）
+ * @param {{posts: Array<Object>}} data - data/news.json の内容
+ * @returns {Array<string>} 行の配列
+ */
+function buildSitemapEntries({ posts }) {
+    const [ja, en] = FEEDS;
+    const entry = (hash, lastmod, priority) => [
+        '<url>',
+        `    <loc>${escapeXml(`${ja.pageUrl}${hash}`)}</loc>`,
+        `    <lastmod>${toDateTime(lastmod)}</lastmod>`,
+        '    <changefreq>weekly</changefreq>',
+        `    <priority>${priority}</priority>`,
+        `    <xhtml:link rel="alternate" hreflang="ja" href="${escapeXml(`${ja.pageUrl}${hash}`)}"/>`,
+        `    <xhtml:link rel="alternate" hreflang="en" href="${escapeXml(`${en.pageUrl}${hash}`)}"/>`,
+        `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(`${ja.pageUrl}${hash}`)}"/>`,
+        '</url>'
+    ];
+
+    if (!posts.length) return [];
+
+    return [
+        ...entry('#news', latestDate(posts), '0.8'),
+        ...NewsPosts.sort(posts).flatMap(post => entry(NewsPosts.getHash(post), post.updated || post.date, '0.6'))
+    ];
+}
+
+/**
+ * サイトマップのマーカー間を置き換える（マーカー行のインデントと改行コードに揃える）
+ * @param {string} xml - 元の sitemap.xml
+ * @param {Array<string>} lines - 挿入する行
+ * @returns {string}
+ */
+function renderSitemap(xml, lines) {
+    const pattern = /<!-- news:posts -->[\s\S]*?<!-- \/news:posts -->/;
+    const match = pattern.exec(xml);
+    if (!match) {
+        throw new Error('sitemap.xml has no <!-- news:posts --> marker');
+    }
+
+    const eol = xml.includes('\r\n') ? '\r\n' : '\n';
+    const indent = xml.slice(xml.lastIndexOf('\n', match.index) + 1, match.index);
+    const content = lines.map(line => `${indent}${line}${eol}`).join('');
+    return xml.replace(pattern, () => `<!-- news:posts -->${eol}${content}${indent}<!-- /news:posts -->`);
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+
+    const errors = NewsPosts.validate(data);
+    if (errors.length) {
+        throw new Error(`data/news.json is invalid:\n${errors.join('\n')}`);
+    }
+
+    const outputs = FEEDS.map(feed => ({
+        file: path.join(ROOT, feed.file),
+        content: buildFeed(feed, data)
+    }));
+    outputs.push({
+        file: SITEMAP_FILE,
+        content: renderSitemap(fs.readFileSync(SITEMAP_FILE, 'utf8'), buildSitemapEntries(data))
+    });
+
+    const changed = outputs.filter(({ file, content }) => !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content);
+    const names = changed.map(({ file }) => path.relative(ROOT, file)).join(', ');
+
+    if (!changed.length) {
+        console.log('News feeds and sitemap.xml are up to date.');
+        return;
+    }
+
+    if (checkOnly) {
+        console.error(`${names} out of date. Run: node scripts/build-news.js`);
+        process.exitCode = 1;
+        return;
+    }
+
+    changed.forEach(({ file, content }) => fs.writeFileSync(file, content, 'utf8'));
+    console.log(`${names} updated from data/news.json`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,206 @@
+/**
+ * Café Serenity - プリキャッシュマニフェスト生成スクリプト
+ * Service Worker がインストール時にキャッシュするファイルと、その内容のハッシュを sw.js に書き込む
+ *
+ * sw.js の `// precache:manifest` 〜 `// /precache:manifest` の間を置き換える
+ * ファイルの内容が変わると sw.js 自体も変わるため、ブラウザが新しい Service Worker を検出する
+ *
+ * 対象: index.html・offline.html が読み込むCSS/JS、sw.js が importScripts で読み込むJS + STATIC_FILES
+ * ページが読み込む外部のCSS/JS（CDN・Webフォント）は OPTIONAL_PRECACHE_URLS として出力する
+ * （内容のハッシュは取れず、取得できなくてもインストールは続ける）
+ *
+ * 使い方: node scripts/build-precache.js [--check]
+ *   --check  生成結果と sw.js が一致しない場合に終了コード1で終了（書き込みなし）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT, 'sw.js');
+
+// 読み込むCSS/JSを収集するページ
+const PAGES = ['index.html', 'offline.html'];
+
+// ページから参照されないが、オフラインで必要なファイル
+const STATIC_FILES = [
+    'index.html',
+    'offline.html',
+    'manifest.json',
+    'data/menu.json',
+    'data/news.json',
+    'images/icons/favicon.ico',
+    'images/icons/favicon-96x96.png',
+    'images/icons/apple-touch-icon.png',
+    'images/icons/web-app-manifest-192x192.png',
+    'images/icons/web-app-manifest-512x512.png'
+];
+
+// CSSから読み込まれるため、ページからは収集できない外部ファイル（Font Awesome は solid のみ使用）
+const EXTERNAL_FILES = [
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2'
+];
+
+// 同じファイルを別のURLでもキャッシュする（トップページ）
+const ALIASES = {
+    '/': 'index.html'
+};
+
+const REVISION_LENGTH = 10;
+
+/**
+ * ファイル内容のハッシュ
+ * @param {string|Buffer} content - ファイルの内容
+ * @returns {string} 先頭 REVISION_LENGTH 文字
+ */
+function hash(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').slice(0, REVISION_LENGTH);
+}
+
+function isExternal(url) {
+    return /^(https?:)?\/\//.test(url);
+}
+
+/**
+ * ページが読み込むCSS/JSのURLを取得（<script src> と <link rel="stylesheet">）
+ * @param {string} page - ページのファイル名
+ * @returns {Array<string>} HTMLに書かれたURL
+ */
+function collectAssetUrls(page) {
+    const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+    const attribute = (tag, name) => {
+        const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+        return match ? match[1].replace(/&amp;/g, '&') : null;
+    };
+
+    return [...html.matchAll(/<(script|link)\b[^>]*>/g)]
+        .map(([tag, name]) => {
+            if (name === 'script') return attribute(tag, 'src');
+            return attribute(tag, 'rel') === 'stylesheet' ? attribute(tag, 'href') : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * ページが読み込むローカルのCSS/JSを取得
+ * @param {string} page - ページのファイル名
+ * @returns {Array<string>} ルートからの相対パス
+ */
+function collectAssets(page) {
+    return collectAssetUrls(page)
+        .filter(url => !isExternal(url))
+        .map(url => url.replace(/^\//, '').split(/[?#]/)[0]);
+}
+
+/**
+ * ページが読み込む外部のCSS/JSと EXTERNAL_FILES を取得
+ * @returns {Array<string>} URL
+ */
+function collectExternalUrls() {
+    return [...new Set([
+        ...PAGES.flatMap(collectAssetUrls).filter(isExternal),
+        ...EXTERNAL_FILES
+    ])];
+}
+
+/**
+ * sw.js が importScripts で読み込むJSを取得
+ * （マニフェストに含めることで、読み込むJSの変更でも sw.js が更新される）
+ * @param {string} source - sw.js の内容
+ * @returns {Array<string>} ルートからの相対パス
+ */
+function collectWorkerImports(source) {
+    const call = source.match(/importScripts\(([^)]*)\)/);
+    if (!call) return [];
+
+    return [...call[1].matchAll(/'([^']+)'/g)].map(match => match[1].replace(/^\//, ''));
+}
+
+/**
+ * マニフェストを作成
+ * @param {string} source - sw.js の内容
+ * @returns {{version: string, entries: Array<{url: string, revision: string}>, externalUrls: Array<string>}}
+ */
+function createManifest(source) {
+    const files = [...new Set([
+        ...PAGES.flatMap(collectAssets),
+        ...collectWorkerImports(source),
+        ...STATIC_FILES
+    ])].sort();
+
+    const revisions = new Map(files.map(file => {
+        const filePath = path.join(ROOT, file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Precache file not found: ${file}`);
+        }
+        return [file, hash(fs.readFileSync(filePath))];
+    }));
+
+    const entries = [
+        ...Object.entries(ALIASES).map(([url, file]) => ({ url, revision: revisions.get(file) })),
+        ...files.map(file => ({ url: `/${file}`, revision: revisions.get(file) }))
+    ];
+
+    const externalUrls = collectExternalUrls();
+
+    // いずれかのファイル・外部URLが変わればバージョンも変わる
+    const version = hash([
+        ...entries.map(entry => `${entry.url} ${entry.revision}`),
+        ...externalUrls
+    ].join('\n'));
+
+    return { version, entries, externalUrls };
+}
+
+/**
+ * sw.js のマニフェスト部分を置き換える
+ * @param {string} source - sw.js の内容
+ * @returns {string}
+ */
+function render(source) {
+    const pattern = /\/\/ precache:manifest[^\n]*\n[\s\S]*?\/\/ \/precache:manifest/;
+    if (!pattern.test(source)) {
+        throw new Error('Precache markers not found in sw.js');
+    }
+
+    const newline = source.includes('\r\n') ? '\r\n' : '\n';
+    const { version, entries, externalUrls } = createManifest(source);
+    const lines = [
+        '// precache:manifest（scripts/build-precache.js が生成、直接編集しない）',
+        `const PRECACHE_VERSION = '${version}';`,
+        'const PRECACHE_MANIFEST = [',
+        entries.map(entry => `    { url: '${entry.url}', revision: '${entry.revision}' }`).join(`,${newline}`),
+        '];',
+        'const OPTIONAL_PRECACHE_URLS = [',
+        externalUrls.map(url => `    '${url}'`).join(`,${newline}`),
+        '];',
+        '// /precache:manifest'
+    ];
+
+    return source.replace(pattern, lines.join(newline));
+}
+
+function main() {
+    const checkOnly = process.argv.includes('--check');
+    const source = fs.readFileSync(SW_FILE, 'utf8');
+    const output = render(source);
+
+    if (output === source) {
+        console.log('sw.js precache manifest is up to date.');
+        return;
+    }
+
+    if (checkOnly) {
+        console.error('sw.js precache manifest is out of date. Run: node scripts/build-precache.js');
+        process.exitCode = 1;
+        return;
+    }
+
+    fs.writeFileSync(SW_FILE, output, 'utf8');
+    console.log('sw.js precache manifest updated.');
+}
+
+main();
@@ -0,0 +1,61 @@
+/**
+ * Café Serenity - プッシュ通知の送信スクリプト
+ * 開発用サーバー（server/server.js）で購読した端末に通知を送る（配信サービスの代わり）
+ *
+ * 購読と鍵は server/data（DATA_DIR）から読み込むため、サーバーと同じ環境変数で実行する
+ * 通知をクリックすると --url のページを開く（開いているタブがあればそのタブを表示）
+ *
+ * 使い方: node scripts/send-push.js --title <タイトル> --body <本文> [--topic specials] [--url /#menu] [--locale ja] [--tag <タグ>]
+ *   --topic   通知の種類（specials / reservations、既定: specials）
+ *   --locale  指定した表示言語の端末にのみ送信（言語ごとに文面を変える場合）
+ *   --tag     同じタグの通知は新しいもので置き換える
+ */
+
+'use strict';
+
+const { TOPICS, sendToTopic, pageUrl } = require('../server/push');
+
+/**
+ * `--name value` 形式の引数を読み込む
+ * @param {Array<string>} args - コマンドライン引数
+ * @returns {Object}
+ */
+function parseArgs(args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        if (!args[i].startsWith('--') || args[i + 1] === undefined) {
+            throw new Error(`Invalid argument: ${args[i]}`);
+        }
+        options[args[i].slice(2)] = args[i + 1];
+    }
+    return options;
+}
+
+async function main() {
+    const { title, body, topic = 'specials', url, locale, tag } = parseArgs(process.argv.slice(2));
+
+    if (!title || !body) {
+        throw new Error('Usage: node scripts/send-push.js --title <title> --body <body> [--topic specials] [--url /#menu] [--locale ja] [--tag <tag>]');
+    }
+    if (!TOPICS.includes(topic)) {
+        throw new Error(`Unknown topic: ${topic} (${TOPICS.join(', ')})`);
+    }
+
+    // --url を省略した場合は各端末の表示言語でトップページを開く
+    const result = await sendToTopic(topic, subscriberLocale => ({
+        title,
+        body,
+        url: url || pageUrl('', subscriberLocale),
+        tag
+    }), { locale });
+
+    console.log(`Push sent: ${result.sent}, failed: ${result.failed}, removed: ${result.removed}`);
+    if (result.failed) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,136 @@
+/**
+ * Café Serenity - アクセス解析の受付ハンドラー
+ * ページから送られたイベント（セクションの表示・CTAのクリック・フォームの入力段階）を検証して保存する（JSON Lines形式）
+ *
+ * Cookieや端末の識別子は扱わず、IPアドレス・ユーザーエージェントも保存しない
+ * イベントの集計は scripts/analytics-report.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../js/i18n');
+const { RateLimiter, getClientKey } = require('./spam-protection');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_FILE = path.join(DATA_DIR, 'analytics.jsonl');
+
+// フォームの入力段階（form_step の name）。form_abandon の name は離脱したときの段階
+const FORM_STEPS = ['start', 'submit', 'invalid', 'sent', 'queued', 'failed'];
+
+// 受け付けるイベントと name の形式
+const EVENT_TYPES = {
+    page_view: /^\/[\w\-./]{0,99}$/,
+    section_view: /^[\w-]{1,50}$/,
+    cta_click: /^[\w-]{1,50}$/,
+    form_step: FORM_STEPS,
+    form_abandon: FORM_STEPS
+};
+
+// 1回の送信に含められるイベントの数
+const MAX_EVENTS = 50;
+
+// ページの表示ごとの識別子（ページで生成したランダムな値）
+const VIEW_ID_PATTERN = /^[\w-]{8,64}$/;
+
+// 送信元ごとの回数制限（10分間に60回まで）
+const limiter = new RateLimiter({ limit: 60, windowMs: 10 * 60 * 1000 });
+
+/**
+ * イベントが受け付ける形式か
+ * @param {Object} event - イベント
+ * @returns {boolean}
+ */
+function isValidEvent(event) {
+    if (!event || typeof event !== 'object') return false;
+
+    const rule = EVENT_TYPES[event.type];
+    if (!rule || typeof event.name !== 'string') return false;
+
+    const isValidName = Array.isArray(rule) ? rule.includes(event.name) : rule.test(event.name);
+    return isValidName && Number.isFinite(event.at) && event.at >= 0;
+}
+
+/**
+ * 送信内容を検証し、保存する行に変換する
+ * @param {Object} data - 送信データ（{view, locale, events}）
+ * @param {Date} [now] - 受信日時
+ * @returns {Array<Object>|null} 保存する行（形式が正しくない場合は null）
+ */
+function toRecords(data, now = new Date()) {
+    const { view, locale, events } = data || {};
+
+    if (typeof view !== 'string' || !VIEW_ID_PATTERN.test(view)) return null;
+    if (!Array.isArray(events) || !events.length || events.length > MAX_EVENTS) return null;
+    if (!events.every(isValidEvent)) return null;
+
+    const receivedAt = now.toISOString();
+    return events.map(event => ({
+        receivedAt,
+        view,
+        locale: I18n.isSupported(locale) ? locale : I18n.DEFAULT_LOCALE,
+        type: event.type,
+        name: event.name,
+        at: Math.round(event.at)
+    }));
+}
+
+/**
+ * イベントを保存する
+ * @param {Array<Object>} records - 保存する行
+ * @returns {Promise<void>}
+ */
+async function store(records) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.appendFile(STORE_FILE, records.map(record => JSON.stringify(record) + '\n').join(''), 'utf8');
+}
+
+/**
+ * 保存したイベントを読み込む
+ * @returns {Promise<Array<Object>>}
+ */
+async function readRecords() {
+    let raw;
+    try {
+        raw = await fs.promises.readFile(STORE_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * アクセス解析のイベントを受け付ける（navigator.sendBeacon で送られるため、本文は text/plain のJSON）
+ * @param {Object} data - 送信データ
+ * @param {http.IncomingMessage} [req] - リクエスト（回数制限に使用）
+ * @returns {Promise<{status: number, headers?: Object, body: Object}>}
+ */
+async function handleAnalytics(data, req) {
+    const { allowed, retryAfter } = limiter.hit(getClientKey(req));
+    if (!allowed) {
+        return {
+            status: 429,
+            headers: { 'Retry-After': String(retryAfter) },
+            body: { ok: false, message: 'Too many requests' }
+        };
+    }
+
+    const records = toRecords(data);
+    if (!records) {
+        return { status: 400, body: { ok: false, message: 'Invalid analytics events' } };
+    }
+
+    await store(records);
+    return { status: 202, body: { ok: true } };
+}
+
+module.exports = {
+    FORM_STEPS,
+    STORE_FILE,
+    handleAnalytics,
+    readRecords,
+    toRecords
+};
@@ -0,0 +1,492 @@
+/**
+ * Café Serenity - プッシュ通知
+ * 購読の受付・保存と、Web Push（VAPID・aes128gcm 暗号化）による通知の送信
+ *
+ * 送信は外部の配信サービスやライブラリを使わず、購読に含まれる各ブラウザのプッシュサービスへ直接行う
+ * 鍵: 環境変数 VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY（未設定の場合は server/data/vapid.json に生成）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const dns = require('dns');
+const net = require('net');
+const crypto = require('crypto');
+const BusinessProfile = require('../js/business-profile');
+const I18n = require('../js/i18n');
+
+require('../js/locales/ja');
+require('../js/locales/en');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const SUBSCRIPTIONS_FILE = path.join(DATA_DIR, 'push-subscriptions.json');
+const RESERVATIONS_FILE = path.join(DATA_DIR, 'reservations.jsonl');
+const VAPID_FILE = path.join(DATA_DIR, 'vapid.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || `mailto:${BusinessProfile.email}`;
+
+// 受け取る通知の種類（季節限定メニュー・お知らせ / 予約の確認）
+const TOPICS = ['specials', 'reservations'];
+
+// 通知の保存期間（秒）。端末がオフラインの間、プッシュサービスが保持する
+const DEFAULT_TTL = 24 * 60 * 60;
+
+// 購読が無効になった（端末側で解除された）ことを示すステータス
+const GONE_STATUSES = [404, 410];
+
+// 暗号化したレコードのサイズ（RFC 8188）。通知は1レコードに収まる長さに限る
+const RECORD_SIZE = 4096;
+
+// プッシュサービスの応答を待つ時間（ミリ秒）。応答の遅いサービスで購読のリクエストを止めないように
+const PUSH_TIMEOUT = 10000;
+
+// 購読の鍵の長さ（バイト）。p256dh は P-256 の非圧縮形式の公開鍵、auth は認証用の秘密（RFC 8291）
+const P256DH_LENGTH = 65;
+const AUTH_LENGTH = 16;
+
+// 送信しない宛先（ループバック・プライベート・リンクローカルなど）
+// 購読の endpoint は利用者が自由に指定できるため、サーバーから内部のネットワークへリクエストさせないようにする
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+let vapidKeys = null;
+
+// 購読ファイルの読み書きを直列化する（同時に更新すると購読が失われるため）
+let pending = Promise.resolve();
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * VAPIDの鍵を取得する（環境変数 → 保存済みの鍵 → 新規生成）
+ * @returns {{publicKey: string, privateKey: string}} base64url 形式の公開鍵（非圧縮65バイト）と秘密鍵
+ */
+function getVapidKeys() {
+    if (vapidKeys) return vapidKeys;
+
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        vapidKeys = {
+            publicKey: process.env.VAPID_PUBLIC_KEY,
+            privateKey: process.env.VAPID_PRIVATE_KEY
+        };
+    } else if (fs.existsSync(VAPID_FILE)) {
+        vapidKeys = JSON.parse(fs.readFileSync(VAPID_FILE, 'utf8'));
+    } else {
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        vapidKeys = {
+            publicKey: base64url(ecdh.getPublicKey()),
+            privateKey: base64url(ecdh.getPrivateKey())
+        };
+
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        fs.writeFileSync(VAPID_FILE, JSON.stringify(vapidKeys, null, 2), { encoding: 'utf8', mode: 0o600 });
+        console.log(`VAPID keys generated: ${VAPID_FILE}`);
+    }
+
+    return vapidKeys;
+}
+
+/**
+ * VAPIDの Authorization ヘッダー（RFC 8292）
+ * @param {string} endpoint - 購読のエンドポイント
+ * @returns {string}
+ */
+function createVapidAuthorization(endpoint) {
+    const { publicKey, privateKey } = getVapidKeys();
+    const point = Buffer.from(publicKey, 'base64url');
+    const key = crypto.createPrivateKey({
+        format: 'jwk',
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: base64url(point.subarray(1, 33)),
+            y: base64url(point.subarray(33, 65))
+        }
+    });
+
+    const header = base64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+    const claims = base64url(JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+        sub: VAPID_SUBJECT
+    }));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: 'ieee-p1363'
+    });
+
+    return `vapid t=${header}.${claims}.${base64url(signature)}, k=${publicKey}`;
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * 通知の内容を購読の鍵で暗号化する（RFC 8291、Content-Encoding: aes128gcm）
+ * @param {{keys: {p256dh: string, auth: string}}} subscription - 購読
+ * @param {string} payload - 通知の内容
+ * @returns {Buffer} 送信する本文
+ */
+function encrypt(subscription, payload) {
+    const userPublicKey = Buffer.from(subscription.keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userPublicKey);
+    const salt = crypto.randomBytes(16);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), userPublicKey, serverPublicKey]);
+    const ikm = hmac(hmac(authSecret, sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+    const prk = hmac(salt, ikm);
+    const contentKey = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+    const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+    // 最後のレコードであることを示す区切り（0x02）を付けて暗号化
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([
+        cipher.update(Buffer.concat([Buffer.from(payload, 'utf8'), Buffer.from([2])])),
+        cipher.final(),
+        cipher.getAuthTag()
+    ]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+}
+
+/**
+ * 通知を送信する
+ * @param {Object} subscription - 購読（PushSubscription.toJSON() の形式）
+ * @param {Object} notification - 通知の内容 {title, body, url, tag}
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - プッシュサービスが保持する秒数
+ * @returns {Promise<number>} プッシュサービスが返したHTTPステータス
+ */
+function sendNotification(subscription, notification, { ttl = DEFAULT_TTL } = {}) {
+    if (!isAllowedEndpoint(subscription.endpoint)) {
+        return Promise.reject(new Error('Push endpoint is not allowed'));
+    }
+
+    const body = encrypt(subscription, JSON.stringify(notification));
+
+    return new Promise((resolve, reject) => {
+        const req = https.request(subscription.endpoint, {
+            method: 'POST',
+            lookup: lookupPublicAddress,
+            headers: {
+                'Authorization': createVapidAuthorization(subscription.endpoint),
+                'Content-Type': 'application/octet-stream',
+                'Content-Encoding': 'aes128gcm',
+                'Content-Length': body.length,
+                'TTL': ttl,
+                'Urgency': 'normal'
+            }
+        }, (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+        });
+
+        req.setTimeout(PUSH_TIMEOUT, () => req.destroy(new Error('Push service timed out')));
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+/**
+ * 保存済みの購読を読み込む
+ * @returns {Promise<Array<Object>>} {subscription, topics, locale, updatedAt}
+ */
+async function readSubscriptions() {
+    try {
+        return JSON.parse(await fs.promises.readFile(SUBSCRIPTIONS_FILE, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+/**
+ * 購読を読み込んで更新し、書き戻す
+ * @param {Function} update - 購読の配列を受け取り、新しい配列を返す関数
+ * @returns {Promise<void>}
+ */
+function updateSubscriptions(update) {
+    const task = pending.then(async () => {
+        const entries = update(await readSubscriptions());
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.writeFile(SUBSCRIPTIONS_FILE, JSON.stringify(entries, null, 2), 'utf8');
+    });
+
+    // 失敗しても後続の更新は続ける
+    pending = task.catch(() => {});
+    return task;
+}
+
+/**
+ * 購読の形式を確認する
+ * @param {*} subscription - ページから送られた購読
+ * @returns {boolean}
+ */
+function isValidSubscription(subscription) {
+    if (!subscription || typeof subscription !== 'object' || !subscription.keys) return false;
+    if (!isAllowedEndpoint(subscription.endpoint)) return false;
+
+    const { p256dh, auth } = subscription.keys;
+    if (decodedLength(p256dh) !== P256DH_LENGTH || decodedLength(auth) !== AUTH_LENGTH) return false;
+
+    // 曲線上の点でない公開鍵は暗号化できないため、保存する前に確認する
+    try {
+        crypto.ECDH.convertKey(Buffer.from(p256dh, 'base64url'), 'prime256v1');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * base64url の文字列をデコードしたバイト数（base64url でない場合は -1）
+ * @param {*} value - 値
+ * @returns {number}
+ */
+/**
+ * 送信してよい endpoint か（https で、ホストがループバック・プライベートなどのアドレスでない）
+ * ホスト名の解決後のアドレスは送信時に lookupPublicAddress で確認する
+ * @param {string} endpoint - 購読の endpoint
+ * @returns {boolean}
+ */
+function isAllowedEndpoint(endpoint) {
+    let url;
+    try {
+        url = new URL(endpoint);
+    } catch (error) {
+        return false;
+    }
+
+    if (url.protocol !== 'https:') return false;
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return false;
+    return !net.isIP(hostname) || isPublicAddress(hostname);
+}
+
+/**
+ * @param {string} address - IPアドレス
+ * @returns {boolean}
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    return Boolean(family) && !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * プッシュサービスのホスト名を解決する（https.request の lookup）
+ * 公開されていないアドレスに解決される場合は接続しない
+ * @param {string} hostname - ホスト名
+ * @param {Object} options - dns.lookup のオプション
+ * @param {Function} callback - dns.lookup と同じ形式のコールバック
+ */
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!addresses.length || !addresses.every(entry => isPublicAddress(entry.address))) {
+            return callback(Object.assign(new Error(`Push endpoint resolves to a non-public address: ${hostname}`), { code: 'EADDRNOTALLOWED' }));
+        }
+        callback(null, address, family);
+    });
+}
+
+function decodedLength(value) {
+    if (typeof value !== 'string' || !/^[A-Za-z0-9_-]+={0,2}$/.test(value)) return -1;
+    return Buffer.from(value, 'base64url').length;
+}
+
+function getLocale(data) {
+    return I18n.isSupported(data.locale) ? data.locale : I18n.DEFAULT_LOCALE;
+}
+
+/**
+ * 予約を取得する
+ * @param {string} id - 予約ID
+ * @returns {Promise<Object|null>}
+ */
+async function findReservation(id) {
+    let lines;
+    try {
+        lines = (await fs.promises.readFile(RESERVATIONS_FILE, 'utf8')).split('\n');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const record = lines
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+        .find(entry => entry.id === id);
+    return record || null;
+}
+
+/**
+ * ページのURL（表示言語を引き継ぐ）
+ * @param {string} hash - 開く位置（例: '#menu'）
+ * @param {string} locale - 表示言語
+ * @returns {string}
+ */
+function pageUrl(hash, locale) {
+    return locale === I18n.DEFAULT_LOCALE ? `/${hash}` : `/?lang=${locale}${hash}`;
+}
+
+/**
+ * 予約の確認の通知
+ * @param {Object} reservation - 保存済みの予約
+ * @param {string} locale - 表示言語
+ * @returns {Object} 通知の内容
+ */
+function createReservationNotification(reservation, locale) {
+    return {
+        title: I18n.t('push.reservationTitle', {}, locale),
+        body: I18n.t('push.reservationBody', {
+            date: reservation.date,
+            time: reservation.time,
+            partySize: reservation.partySize
+        }, locale),
+        url: pageUrl('#contact', locale),
+        tag: `reservation-${reservation.id}`
+    };
+}
+
+/**
+ * 通知の種類を購読している端末すべてに送信する
+ * 購読が無効になっていた端末は購読を削除する
+ * @param {string} topic - 通知の種類
+ * @param {Function} createNotification - 表示言語を受け取り、通知の内容を返す関数
+ * @param {Object} [options]
+ * @param {string} [options.locale] - 指定した表示言語の端末にのみ送信
+ * @returns {Promise<{sent: number, failed: number, removed: number}>}
+ */
+async function sendToTopic(topic, createNotification, { locale } = {}) {
+    const targets = (await readSubscriptions()).filter(entry => (
+        entry.topics.includes(topic) && (!locale || entry.locale === locale)
+    ));
+    const result = { sent: 0, failed: 0, removed: 0 };
+    const gone = [];
+
+    for (const entry of targets) {
+        try {
+            const status = await sendNotification(entry.subscription, createNotification(entry.locale));
+            if (status >= 200 && status < 300) {
+                result.sent++;
+            } else if (GONE_STATUSES.includes(status)) {
+                gone.push(entry.subscription.endpoint);
+            } else {
+                console.warn(`Push rejected (${status}): ${entry.subscription.endpoint}`);
+                result.failed++;
+            }
+        } catch (error) {
+            console.warn(`Push failed: ${entry.subscription.endpoint}`, error.message);
+            result.failed++;
+        }
+    }
+
+    if (gone.length) {
+        await updateSubscriptions(entries => entries.filter(entry => !gone.includes(entry.subscription.endpoint)));
+        result.removed = gone.length;
+    }
+
+    return result;
+}
+
+/**
+ * VAPIDの公開鍵を返す（ページが購読するときに使用）
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handlePublicKey() {
+    return {
+        status: 200,
+        body: { ok: true, publicKey: getVapidKeys().publicKey }
+    };
+}
+
+/**
+ * 購読の登録・更新
+ * reservationId を指定した場合は、その予約の確認を通知する（予約の確認を購読している場合のみ）
+ * @param {Object} data - {subscription, topics, locale, reservationId}
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleSubscribe(data) {
+    if (!data || !isValidSubscription(data.subscription)) {
+        return { status: 400, body: { ok: false, message: 'Invalid subscription' } };
+    }
+
+    const { endpoint, keys } = data.subscription;
+    const entry = {
+        subscription: { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } },
+        topics: TOPICS.filter(topic => Array.isArray(data.topics) && data.topics.includes(topic)),
+        locale: getLocale(data),
+        updatedAt: new Date().toISOString()
+    };
+
+    await updateSubscriptions(entries => [
+        ...entries.filter(existing => existing.subscription.endpoint !== endpoint),
+        entry
+    ]);
+
+    if (data.reservationId && entry.topics.includes('reservations')) {
+        const reservation = await findReservation(String(data.reservationId));
+        if (reservation) {
+            // 確認の通知が届かなくても購読の登録は成功として扱う（暗号化の失敗も含む）
+            try {
+                await sendNotification(entry.subscription, createReservationNotification(reservation, entry.locale));
+            } catch (error) {
+                console.warn('Reservation push failed:', error.message);
+            }
+        }
+    }
+
+    return {
+        status: 201,
+        body: { ok: true, topics: entry.topics }
+    };
+}
+
+/**
+ * 購読の解除
+ * @param {Object} data - {endpoint}
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleUnsubscribe(data) {
+    const endpoint = String((data && data.endpoint) || '');
+    await updateSubscriptions(entries => entries.filter(entry => entry.subscription.endpoint !== endpoint));
+
+    return {
+        status: 200,
+        body: { ok: true }
+    };
+}
+
+module.exports = {
+    TOPICS,
+    handlePublicKey,
+    handleSubscribe,
+    handleUnsubscribe,
+    sendNotification,
+    sendToTopic,
+    pageUrl,
+    encrypt
+};
@@ -0,0 +1,251 @@
+/**
+ * Café Serenity - 予約フォーム受付ハンドラー
+ * スパム対策・バリデーションと送信内容の保存（JSON Lines形式）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OpeningHours = require('../js/opening-hours');
+const I18n = require('../js/i18n');
+const { RateLimiter, createToken, inspect, claimToken, releaseToken, getClientKey } = require('./spam-protection');
+
+// エラーメッセージはページと同じカタログから送信者の表示言語で返す
+require('../js/locales/ja');
+require('../js/locales/en');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const STORE_FILE = path.join(DATA_DIR, 'reservations.jsonl');
+
+// 受け付けるフィールドと最大文字数
+const FIELD_LIMITS = {
+    name: 100,
+    email: 254,
+    inquiryType: 50,
+    message: 2000,
+    date: 10,
+    time: 5,
+    partySize: 2,
+    locale: 5
+};
+
+const INQUIRY_TYPES = ['general', 'reservation', 'private', 'other'];
+const MAX_PARTY_SIZE = 10;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 送信元ごとの回数制限（10分間に送信10回・トークンの発行30回まで）
+const submissionLimiter = new RateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+const challengeLimiter = new RateLimiter({ limit: 30, windowMs: 10 * 60 * 1000 });
+
+// 予約日時の受付不可理由ごとのメッセージ（js/locales/*.js のキー）
+const SLOT_ERRORS = {
+    invalid: ['date', 'form.errors.invalidSlot'],
+    past: ['date', 'form.errors.pastSlot'],
+    closed: ['date', 'form.errors.closed'],
+    'outside-hours': ['time', 'form.errors.outsideHoursShort']
+};
+
+/**
+ * 送信者の表示言語（未対応・未指定の場合は既定の言語）
+ * @param {Object} data - 送信データ
+ * @returns {string}
+ */
+function getLocale(data) {
+    return I18n.isSupported(data.locale) ? data.locale : I18n.DEFAULT_LOCALE;
+}
+
+/**
+ * 送信内容を検証する
+ * @param {Object} data - 送信データ
+ * @returns {Object} フィールド名をキーとしたエラーメッセージ（空なら有効）
+ */
+function validate(data) {
+    const errors = {};
+    const locale = getLocale(data);
+    const t = (key, params) => I18n.t(key, params, locale);
+
+    ['name', 'email', 'message'].forEach(field => {
+        if (!String(data[field] || '').trim()) {
+            errors[field] = t('form.errors.required');
+        }
+    });
+
+    if (!errors.email && !EMAIL_REGEX.test(String(data.email).trim())) {
+        errors.email = t('form.errors.email');
+    }
+
+    if (data.inquiryType !== undefined && !INQUIRY_TYPES.includes(data.inquiryType)) {
+        errors.inquiryType = t('form.errors.inquiryType');
+    }
+
+    if (data.inquiryType === 'reservation') {
+        Object.assign(errors, validateReservation(data, t));
+    }
+
+    Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+        if (!errors[field] && String(data[field] || '').length > limit) {
+            errors[field] = t('form.errors.maxLength', { limit });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * 予約日時と人数を検証する
+ * @param {Object} data - 送信データ
+ * @param {Function} t - 送信者の表示言語でメッセージを取得する関数
+ * @returns {Object} フィールド名をキーとしたエラーメッセージ
+ */
+function validateReservation(data, t) {
+    const errors = {};
+    const date = String(data.date || '').trim();
+    const time = String(data.time || '').trim();
+    const partySize = Number(data.partySize);
+
+    if (!date) errors.date = t('form.errors.required');
+    if (!time) errors.time = t('form.errors.required');
+
+    if (date && time) {
+        const reason = OpeningHours.checkSlot(date, time);
+        if (reason) {
+            const [field, key] = SLOT_ERRORS[reason];
+            errors[field] = t(key);
+        }
+    }
+
+    if (!Number.isInteger(partySize) || partySize < 1 || partySize > MAX_PARTY_SIZE) {
+        errors.partySize = t('form.errors.range', { min: 1, max: MAX_PARTY_SIZE });
+    }
+
+    return errors;
+}
+
+/**
+ * 既知のフィールドだけを取り出して整形する
+ * @param {Object} data - 送信データ
+ * @returns {Object} 保存用のデータ
+ */
+function pickFields(data) {
+    return Object.keys(FIELD_LIMITS).reduce((result, field) => {
+        if (data[field] !== undefined) {
+            result[field] = String(data[field]).trim();
+        }
+        return result;
+    }, {});
+}
+
+/**
+ * 電話やメールで伝えやすい受付番号（IDの先頭8文字）
+ * @param {string} id - 送信内容のID
+ * @returns {string} 例: CS-1A2B3C4D
+ */
+function createReference(id) {
+    return `CS-${id.slice(0, 8).toUpperCase()}`;
+}
+
+/**
+ * 送信内容を保存する
+ * @param {Object} record - 保存するデータ
+ * @returns {Promise<void>}
+ */
+async function store(record) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    await fs.promises.appendFile(STORE_FILE, JSON.stringify(record) + '\n', 'utf8');
+}
+
+/**
+ * 回数制限を超えた場合のレスポンス
+ * @param {number} retryAfter - 次に許可されるまでの秒数
+ * @param {string} locale - 表示言語
+ * @returns {{status: number, headers: Object, body: Object}}
+ */
+function rateLimited(retryAfter, locale) {
+    return {
+        status: 429,
+        headers: { 'Retry-After': String(retryAfter) },
+        body: { ok: false, message: I18n.t('form.errors.rateLimited', {}, locale) }
+    };
+}
+
+/**
+ * フォームのプルーフオブワーク用トークンを発行する
+ * @param {Object} data - リクエスト本文（未使用）
+ * @param {http.IncomingMessage} req - リクエスト
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function handleChallenge(data, req) {
+    const { allowed, retryAfter } = challengeLimiter.hit(getClientKey(req));
+    if (!allowed) return rateLimited(retryAfter, I18n.DEFAULT_LOCALE);
+
+    return {
+        status: 200,
+        body: { ok: true, token: createToken() }
+    };
+}
+
+/**
+ * 予約フォームの送信を処理する
+ * @param {Object} data - 送信データ
+ * @param {http.IncomingMessage} [req] - リクエスト（回数制限に使用）
+ * @returns {Promise<{status: number, headers?: Object, body: Object}>} HTTPステータスとレスポンス本文
+ */
+async function handleReservation(data, req) {
+    const locale = getLocale(data);
+    const { allowed, retryAfter } = submissionLimiter.hit(getClientKey(req));
+    if (!allowed) return rateLimited(retryAfter, locale);
+
+    const spam = inspect(data) || (claimToken(data.token) ? null : 'token');
+    if (spam) {
+        console.log(`Submission rejected as spam: ${spam}`);
+
+        // ハニーポットに入力した自動送信には成功したように見せる（保存はしない）
+        if (spam === 'honeypot') {
+            const id = crypto.randomUUID();
+            return { status: 201, body: { ok: true, id, reference: createReference(id) } };
+        }
+        return {
+            status: 400,
+            body: { ok: false, message: I18n.t('form.errors.verification', {}, locale) }
+        };
+    }
+
+    const errors = validate(data);
+    if (Object.keys(errors).length) {
+        releaseToken(data.token);
+        return {
+            status: 422,
+            body: { ok: false, message: I18n.t('form.errors.summary', {}, locale), errors }
+        };
+    }
+
+    const id = crypto.randomUUID();
+    const record = {
+        id,
+        reference: createReference(id),
+        receivedAt: new Date().toISOString(),
+        ...pickFields(data)
+    };
+
+    try {
+        await store(record);
+    } catch (error) {
+        releaseToken(data.token);
+        throw error;
+    }
+    console.log(`Reservation received: ${record.reference} (${record.id})`);
+
+    return {
+        status: 201,
+        body: { ok: true, id: record.id, reference: record.reference }
+    };
+}
+
+module.exports = {
+    handleChallenge,
+    handleReservation,
+    validate
+};
@@ -0,0 +1,214 @@
+/**
+ * Café Serenity - ローカル開発用リファレンスサーバー
+ * 静的ファイルの配信と予約フォーム・プッシュ通知の購読・アクセス解析の受付をオフラインで検証するためのサーバー
+ *
+ * 使い方: node server/server.js
+ * 環境変数: PORT（既定: 8080）, DATA_DIR（既定: server/data）, VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT,
+ *           FORM_GUARD_SECRET / FORM_GUARD_DIFFICULTY（フォームのスパム対策）
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { handleChallenge, handleReservation } = require('./reservations');
+const { handlePublicKey, handleSubscribe, handleUnsubscribe } = require('./push');
+const { handleAnalytics } = require('./analytics');
+
+const PORT = Number(process.env.PORT) || 8080;
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MAX_BODY_SIZE = 100 * 1024;
+
+// 公開しないディレクトリ
+const PRIVATE_PATHS = ['/server/', '/node_modules/'];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+// APIルート
+const ROUTES = {
+    'GET /api/form-challenge': handleChallenge,
+    'POST /api/reservations': handleReservation,
+    'GET /api/push/public-key': handlePublicKey,
+    'POST /api/push/subscriptions': handleSubscribe,
+    'DELETE /api/push/subscriptions': handleUnsubscribe,
+    'POST /api/analytics': handleAnalytics
+};
+
+// 本文を text/plain のJSONとして受け付けるルート（navigator.sendBeacon は文字列を text/plain で送るため）
+// CORSの事前確認なしで送れる形式のため、他のルートでは受け付けない
+const TEXT_BODY_ROUTES = ['POST /api/analytics'];
+
+/**
+ * JSONレスポンスを返す
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {number} status - HTTPステータス
+ * @param {Object} body - レスポンス本文
+ * @param {Object} [headers] - 追加のヘッダー
+ */
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * リクエスト本文を読み込んでパースする（JSON / URLエンコード形式）
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {Object} [options]
+ * @param {boolean} [options.acceptText] - text/plain の本文もJSONとしてパースする
+ * @returns {Promise<Object>} パース済みの本文（JSONの場合はオブジェクトのみ）
+ */
+function readBody(req, { acceptText = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const contentType = req.headers['content-type'] || '';
+
+            try {
+                if (contentType.includes('application/json') || (acceptText && contentType.includes('text/plain'))) {
+                    const data = raw ? JSON.parse(raw) : {};
+                    // ハンドラーはフィールドを持つオブジェクトを前提とする（null・配列・数値などは受け付けない）
+                    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                        reject(Object.assign(new Error('Request body must be a JSON object'), { status: 400 }));
+                        return;
+                    }
+                    resolve(data);
+                } else if (contentType.includes('application/x-www-form-urlencoded')) {
+                    resolve(Object.fromEntries(new URLSearchParams(raw)));
+                } else {
+                    reject(Object.assign(new Error('Unsupported media type'), { status: 415 }));
+                }
+            } catch (error) {
+                reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * 静的ファイルを配信する
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - レスポンス
+ * @param {string} pathname - リクエストパス
+ */
+async function serveStatic(req, res, pathname) {
+    const filePath = path.join(ROOT_DIR, path.normalize(pathname === '/' ? '/index.html' : pathname));
+    const isPrivate = PRIVATE_PATHS.some(prefix => pathname.startsWith(prefix))
+        || pathname.split('/').some(segment => segment.startsWith('.'));
+
+    if (!filePath.startsWith(ROOT_DIR) || isPrivate) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    try {
+        const stat = await fs.promises.stat(filePath);
+        if (!stat.isFile()) throw new Error('Not a file');
+
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Content-Length': stat.size
+        });
+        if (req.method === 'HEAD') {
+            res.end();
+            return;
+        }
+        fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+        res.writeHead(404, { 'Content-Type': MIME_TYPES['.html'] });
+        fs.createReadStream(path.join(ROOT_DIR, '404.html')).pipe(res);
+    }
+}
+
+const server = http.createServer(async (req, res) => {
+    // Host ヘッダーは使わない（不正な値で URL の解析が失敗するため）。`//a b` のようなパスも解析できないため 400 を返す
+    let pathname;
+    try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    const route = `${req.method} ${pathname}`;
+    const handler = ROUTES[route];
+
+    if (handler) {
+        try {
+            const data = req.method === 'GET' ? {} : await readBody(req, { acceptText: TEXT_BODY_ROUTES.includes(route) });
+            const { status, body, headers } = await handler(data, req);
+            sendJson(res, status, body, headers);
+        } catch (error) {
+            const status = error.status || 500;
+            if (status === 500) console.error(error);
+            sendJson(res, status, {
+                ok: false,
+                message: status === 500 ? 'Internal server error' : error.message
+            });
+        }
+        return;
+    }
+
+    if (pathname.startsWith('/api/')) {
+        sendJson(res, 404, { ok: false, message: 'Not found' });
+        return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        res.end();
+        return;
+    }
+
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(pathname);
+    } catch (error) {
+        res.writeHead(400);
+        res.end();
+        return;
+    }
+
+    serveStatic(req, res, decodedPath);
+});
+
+server.listen(PORT, () => {
+    console.log(`Café Serenity dev server: http://localhost:${PORT}/`);
+});
@@ -0,0 +1,174 @@
+/**
+ * Café Serenity - フォームのスパム対策（サーバー側）
+ * プルーフオブワークのトークン発行・検証、ハニーポット・入力時間・操作の有無の判定、送信元ごとの回数制限
+ *
+ * トークンの署名鍵: 環境変数 FORM_GUARD_SECRET（未設定の場合は起動ごとに生成）
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const FormGuard = require('../js/form-guard');
+
+const SECRET = process.env.FORM_GUARD_SECRET || crypto.randomBytes(32).toString('hex');
+
+// 解くのに必要な先頭の0のビット数（1ビット増えるごとに平均の計算量が2倍。14ビットで約1.6万回）
+const DIFFICULTY = Number(process.env.FORM_GUARD_DIFFICULTY) || 14;
+
+// 受け付けた・受付処理中の送信のトークン（同じトークンでの再送信を拒否する）
+const usedTokens = new Map();
+
+// 送信元ごとの回数制限
+class RateLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.limit - 期間内に許可する回数
+     * @param {number} options.windowMs - 期間（ミリ秒）
+     * @param {Function} [options.now] - 現在時刻（ミリ秒）を返す関数
+     */
+    constructor({ limit, windowMs, now = Date.now }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.now = now;
+        this.hits = new Map();
+    }
+
+    /**
+     * 1回分を記録し、許可するかを返す
+     * @param {string} key - 送信元（IPアドレス）
+     * @returns {{allowed: boolean, retryAfter: number}} retryAfter は次に許可されるまでの秒数
+     */
+    hit(key) {
+        const now = this.now();
+        const recent = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (recent.length >= this.limit) {
+            this.hits.set(key, recent);
+            return { allowed: false, retryAfter: Math.ceil((recent[0] + this.windowMs - now) / 1000) };
+        }
+
+        recent.push(now);
+        this.hits.set(key, recent);
+        this.prune(now);
+        return { allowed: true, retryAfter: 0 };
+    }
+
+    // 期間を過ぎた記録を削除（記録が増え続けないように）
+    prune(now) {
+        this.hits.forEach((times, key) => {
+            if (now - times[times.length - 1] >= this.windowMs) {
+                this.hits.delete(key);
+            }
+        });
+    }
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * プルーフオブワークのトークンを発行する
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {string}
+ */
+function createToken(now = Date.now()) {
+    const payload = Buffer.from(JSON.stringify({
+        n: crypto.randomBytes(8).toString('hex'),
+        t: now,
+        d: DIFFICULTY
+    })).toString('base64url');
+
+    return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * トークンの署名・有効期間・使用済みかを確認する
+ * @param {string} token - トークン
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {boolean}
+ */
+function isValidToken(token, now) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return false;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+    const decoded = FormGuard.decodeToken(token);
+    return Boolean(decoded) && decoded.issuedAt <= now && !FormGuard.isExpired(token, now) && !usedTokens.has(token);
+}
+
+/**
+ * プルーフオブワークの解を確認する
+ * @param {string} token - トークン
+ * @param {string} proof - 解
+ * @returns {boolean}
+ */
+function isValidProof(token, proof) {
+    if (typeof proof !== 'string' || proof.length > 16) return false;
+
+    const { difficulty } = FormGuard.decodeToken(token);
+    const hash = crypto.createHash('sha256').update(FormGuard.challengeText(token, proof)).digest();
+    return FormGuard.leadingZeroBits(hash) >= difficulty;
+}
+
+/**
+ * 送信が自動送信の疑いがあるかを判定する
+ * @param {Object} data - 送信データ
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {string|null} 拒否する理由（'honeypot' | 'token' | 'proof' | 'too-fast' | 'no-interaction'）、問題がなければ null
+ */
+function inspect(data, now = Date.now()) {
+    if (String(data[FormGuard.HONEYPOT_FIELD] || '').trim()) return 'honeypot';
+    if (!isValidToken(data.token, now)) return 'token';
+    if (!isValidProof(data.token, data.proof)) return 'proof';
+    if (!(Number(data.fillTime) >= FormGuard.MIN_FILL_TIME)) return 'too-fast';
+    if (!(Number(data.interactions) >= 1)) return 'no-interaction';
+    return null;
+}
+
+/**
+ * トークンを使用済みにする（inspect の直後、保存などの非同期処理より前に呼ぶ）
+ * 確認と記録を同時に行うため、同じトークンの送信が同時に届いても受け付けるのは1件だけになる
+ * @param {string} token - トークン
+ * @param {number} [now] - 現在時刻（ミリ秒）
+ * @returns {boolean} 使用済みにできたか（すでに使われている場合は false）
+ */
+function claimToken(token, now = Date.now()) {
+    usedTokens.forEach((expiresAt, usedToken) => {
+        if (expiresAt < now) usedTokens.delete(usedToken);
+    });
+
+    if (usedTokens.has(token)) return false;
+    usedTokens.set(token, now + FormGuard.TOKEN_TTL);
+    return true;
+}
+
+/**
+ * 使用済みにしたトークンを戻す
+ * （入力エラーで差し戻した送信・保存できなかった送信は、同じトークンで送り直せるようにする）
+ * @param {string} token - トークン
+ */
+function releaseToken(token) {
+    usedTokens.delete(token);
+}
+
+/**
+ * リクエストの送信元
+ * @param {http.IncomingMessage} [req] - リクエスト
+ * @returns {string}
+ */
+function getClientKey(req) {
+    return (req && req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+module.exports = {
+    RateLimiter,
+    createToken,
+    inspect,
+    claimToken,
+    releaseToken,
+    getClientKey
+};
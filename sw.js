@@ -3,54 +3,189 @@
  * PWA対応とオフライン機能の実装
  */
 
-const CACHE_NAME = 'cafe-serenity-v1.0.0';
-const OFFLINE_URL = '/offline.html';
+importScripts('/js/form-guard.js', '/js/form-queue.js', '/js/image-cache.js');
 
-// キャッシュするリソースのリスト
-const STATIC_CACHE_URLS = [
-    '/',
-    '/index.html',
-    '/css/critical.css',
-    '/css/main.css',
-    '/js/main.js',
-    '/manifest.json',
-    '/offline.html',
-    // フォント
+// precache:manifest（scripts/build-precache.js が生成、直接編集しない）
+const PRECACHE_VERSION = '45cb3230b0';
+const PRECACHE_MANIFEST = [
+    { url: '/', revision: 'bc8556afb0' },
+    { url: '/css/critical.css', revision: '51b2f8e5b2' },
+    { url: '/css/main.css', revision: 'ea3979e0f8' },
+    { url: '/data/menu.json', revision: 'b5ee80041a' },
+    { url: '/data/news.json', revision: '4c7a9377a4' },
+    { url: '/images/icons/apple-touch-icon.png', revision: 'b3262335dc' },
+    { url: '/images/icons/favicon-96x96.png', revision: 'fa13430aaf' },
+    { url: '/images/icons/favicon.ico', revision: 'e86861f500' },
+    { url: '/images/icons/web-app-manifest-192x192.png', revision: '96def48937' },
+    { url: '/images/icons/web-app-manifest-512x512.png', revision: '13a1c56a2f' },
+    { url: '/index.html', revision: 'bc8556afb0' },
+    { url: '/js/breakpoints.js', revision: '2250ec8a1d' },
+    { url: '/js/business-profile.js', revision: '24a2526972' },
+    { url: '/js/calendar.js', revision: '08bfc3f920' },
+    { url: '/js/form-guard.js', revision: '014f801c7b' },
+    { url: '/js/form-queue.js', revision: '8eaad4d55e' },
+    { url: '/js/gallery.js', revision: 'c44412aa70' },
+    { url: '/js/i18n.js', revision: 'bbde02f419' },
+    { url: '/js/image-cache.js', revision: 'bd35ad4fa5' },
+    { url: '/js/local-store.js', revision: '3bac433a9f' },
+    { url: '/js/locales/en.js', revision: '5ab6b52d1e' },
+    { url: '/js/locales/ja.js', revision: '3efffcb924' },
+    { url: '/js/main.js', revision: 'c688abcb45' },
+    { url: '/js/menu.js', revision: 'c15c696ea7' },
+    { url: '/js/motion.js', revision: '05b5ad4fac' },
+    { url: '/js/news-posts.js', revision: '35cea84d49' },
+    { url: '/js/news.js', revision: '68591afd69' },
+    { url: '/js/opening-hours.js', revision: '4f5075e1ab' },
+    { url: '/js/sw-channel.js', revision: '09815af21f' },
+    { url: '/js/theme.js', revision: 'c2563dac2a' },
+    { url: '/manifest.json', revision: '65ec390035' },
+    { url: '/offline.html', revision: '2632f9cfcf' }
+];
+const OPTIONAL_PRECACHE_URLS = [
     'https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@300;400;500;700&family=Playfair+Display:wght@400;500;600;700&display=swap',
-    // アイコン
-    '/images/icons/favicon.ico',
-    '/images/icons/favicon-96x96.png',
-    '/images/icons/apple-touch-icon.png',
-    '/images/icons/web-app-manifest-192x192.png',
-    '/images/icons/web-app-manifest-512x512.png',
-    // ヒーロー画像（重要な画像のみ）
-    '/images/hero/hero-main.png'
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://unpkg.com/aos@2.3.1/dist/aos.css',
+    'https://unpkg.com/aos@2.3.1/dist/aos.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/webfonts/fa-solid-900.woff2'
 ];
+// /precache:manifest
+
+// ファイルの内容が変わるとバージョンが変わり、古いキャッシュは activate で削除される
+const CACHE_NAME = `cafe-serenity-${PRECACHE_VERSION}`;
+const OFFLINE_URL = '/offline.html';
+
+// 外部リソース（CDN・Webフォント）用の別キャッシュ
+// バージョン付きURLが多いためバージョン更新後も引き継ぐ（OPTIONAL_PRECACHE_URLS はインストール時に保存）
+const CDN_CACHE_NAME = 'cafe-serenity-cdn-v1';
 
-// 画像用の別キャッシュ
-const IMAGE_CACHE_NAME = 'cafe-serenity-images-v1.0.0';
+// 外部オリジンごとのキャッシュ戦略（ここにないオリジンは Service Worker を通さない）
+//   cache-first            URLにバージョンを含み内容が変わらないもの
+//   stale-while-revalidate 同じURLで内容が更新されるもの
+const CROSS_ORIGIN_STRATEGIES = {
+    'https://cdnjs.cloudflare.com': 'cache-first',
+    'https://unpkg.com': 'cache-first',
+    'https://fonts.gstatic.com': 'cache-first',
+    'https://fonts.googleapis.com': 'stale-while-revalidate',
+    'https://cdn.tailwindcss.com': 'stale-while-revalidate'
+};
+
+// 画像用の別キャッシュ（ヒーロー・ギャラリー画像は端末が選んだ形式・サイズのみ保存）
+// バージョン更新後も引き継ぎ、件数と保存期間の上限で管理する（js/image-cache.js）
+const IMAGE_CACHE_NAME = 'cafe-serenity-images-v2';
+const IMAGE_CACHE_POLICY = {
+    maxEntries: 60,
+    maxAgeSeconds: 30 * 24 * 60 * 60
+};
+
+const imageCache = new ImageCache({ cacheName: IMAGE_CACHE_NAME, ...IMAGE_CACHE_POLICY });
 
 // インストールイベント
 self.addEventListener('install', (event) => {
     event.waitUntil(
         (async () => {
-            const cache = await caches.open(CACHE_NAME);
-            // 静的リソースをキャッシュ
-            await cache.addAll(STATIC_CACHE_URLS);
+            await precache();
             
-            // オフラインページを個別にキャッシュ（エラーハンドリング付き）
+            // 更新の場合は開いているページに知らせる（利用者が同意するまで待機する）
+            if (self.registration.active) {
+                const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+                windowClients.forEach((client) => {
+                    client.postMessage({ type: 'UPDATE_AVAILABLE', version: PRECACHE_VERSION });
+                });
+            }
+        })()
+    );
+});
+
+// ページから MessageChannel で送られるコマンド（js/sw-channel.js）
+const MESSAGE_HANDLERS = {
+    // 指定したページの保存版（クエリだけが異なる保存版も対象）と保存済みのページ一覧
+    async GET_CACHED_PAGE({ url }) {
+        const target = new URL(url, location.origin);
+        target.hash = '';
+        
+        const cache = await caches.open(CACHE_NAME);
+        const exact = await cache.keys(target.href);
+        const [request] = exact.length ? exact : await cache.keys(target.href, { ignoreSearch: true });
+        
+        return {
+            page: request ? describePage(request.url, await cache.match(request)) : null,
+            pages: await listCachedPages()
+        };
+    },
+    
+    async GET_CACHED_PAGES() {
+        return { pages: await listCachedPages() };
+    },
+    
+    async GET_CACHE_STATUS() {
+        const names = (await caches.keys()).filter((name) => name.startsWith('cafe-serenity-'));
+        const cacheEntries = await Promise.all(names.map(async (name) => {
+            const cache = await caches.open(name);
+            return { name, entries: (await cache.keys()).length };
+        }));
+        
+        return {
+            version: PRECACHE_VERSION,
+            caches: cacheEntries,
+            imageCachePolicy: IMAGE_CACHE_POLICY
+        };
+    },
+    
+    // 保存したページ・データ・画像を削除（オフライン用にインストール時に保存したファイルは残す）
+    async CLEAR_CACHES() {
+        const precached = new Set([
+            ...PRECACHE_MANIFEST.map((entry) => new URL(entry.url, location.origin).href),
+            ...OPTIONAL_PRECACHE_URLS
+        ]);
+        
+        let removedEntries = 0;
+        for (const name of [CACHE_NAME, CDN_CACHE_NAME]) {
+            const cache = await caches.open(name);
+            const runtimeRequests = (await cache.keys()).filter((request) => !precached.has(request.url));
+            await Promise.all(runtimeRequests.map((request) => cache.delete(request)));
+            removedEntries += runtimeRequests.length;
+        }
+        
+        const otherCaches = (await caches.keys())
+            .filter((name) => name.startsWith('cafe-serenity-') && name !== CACHE_NAME && name !== CDN_CACHE_NAME);
+        await Promise.all(otherCaches.map((name) => caches.delete(name)));
+        
+        return {
+            removedEntries,
+            removedCaches: otherCaches
+        };
+    }
+};
+
+// ページからのメッセージ
+self.addEventListener('message', (event) => {
+    const { type, ...payload } = event.data || {};
+    
+    // 更新トーストで「更新」が選ばれたら待機をやめて有効化する（応答なし）
+    if (type === 'SKIP_WAITING') {
+        self.skipWaiting();
+        return;
+    }
+    
+    // 結果は MessageChannel のポートに返す
+    const port = event.ports[0];
+    if (!port) return;
+    
+    const handler = MESSAGE_HANDLERS[type];
+    if (!handler) {
+        port.postMessage({ ok: false, error: `Unknown message type: ${type}` });
+        return;
+    }
+    
+    event.waitUntil(
+        (async () => {
             try {
-                const offlineRequest = new Request(OFFLINE_URL);
-                const offlineResponse = await fetch(offlineRequest);
-                await cache.put(offlineRequest, offlineResponse);
+                port.postMessage({ ok: true, result: await handler(payload) });
             } catch (error) {
-                console.error('Failed to cache offline page:', error);
+                port.postMessage({ ok: false, error: error.message });
             }
         })()
     );
-    
-    // 即座にアクティベート
-    self.skipWaiting();
 });
 
 // アクティベートイベント
@@ -61,10 +196,13 @@ self.addEventListener('activate', (event) => {
             const cacheNames = await caches.keys();
             await Promise.all(
                 cacheNames
-                    .filter((name) => name.startsWith('cafe-serenity-') && name !== CACHE_NAME && name !== IMAGE_CACHE_NAME)
+                    .filter((name) => name.startsWith('cafe-serenity-') && ![CACHE_NAME, IMAGE_CACHE_NAME, CDN_CACHE_NAME].includes(name))
                     .map((name) => caches.delete(name))
             );
             
+            // 期限切れ・上限超過の画像を整理
+            await imageCache.enforceLimits();
+            
             // すべてのクライアントを制御
             await clients.claim();
         })()
@@ -76,8 +214,17 @@ self.addEventListener('fetch', (event) => {
     const { request } = event;
     const url = new URL(request.url);
     
-    // 同一オリジンのリクエストのみ処理
+    // 外部リソースは CROSS_ORIGIN_STRATEGIES に登録したオリジンのみ処理
     if (url.origin !== location.origin) {
+        const strategy = CROSS_ORIGIN_STRATEGIES[url.origin];
+        if (strategy && request.method === 'GET') {
+            event.respondWith(handleCrossOrigin(event, strategy));
+        }
+        return;
+    }
+    
+    // GET以外のリクエストとAPI呼び出しはキャッシュせずネットワークへ
+    if (request.method !== 'GET' || url.pathname.startsWith('/api/')) {
         return;
     }
     
@@ -122,22 +269,9 @@ self.addEventListener('fetch', (event) => {
     if (request.destination === 'image') {
         event.respondWith(
             (async () => {
-                const cache = await caches.open(IMAGE_CACHE_NAME);
-                const cachedResponse = await cache.match(request);
-                
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-                
                 try {
-                    const networkResponse = await fetch(request);
-                    
-                    // 成功した画像レスポンスをキャッシュ
-                    if (networkResponse.ok) {
-                        cache.put(request, networkResponse.clone());
-                    }
-                    
-                    return networkResponse;
+                    // キャッシュがあればすぐに返し、裏で最新の画像に更新
+                    return await imageCache.handle(event);
                 } catch (error) {
                     // プレースホルダー画像を返す
                     return new Response(
@@ -158,6 +292,35 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // データファイル（メニュー等）: 更新を反映するためネットワークファースト
+    if (url.pathname.startsWith('/data/')) {
+        event.respondWith(
+            (async () => {
+                try {
+                    const networkResponse = await fetch(request);
+                    
+                    if (networkResponse.ok) {
+                        const cache = await caches.open(CACHE_NAME);
+                        cache.put(request, networkResponse.clone());
+                    }
+                    
+                    return networkResponse;
+                } catch (error) {
+                    // オフライン時は最後に取得したデータを使用
+                    const cachedResponse = await caches.match(request);
+                    return cachedResponse || new Response(JSON.stringify({ error: 'offline' }), {
+                        status: 503,
+                        statusText: 'Service Unavailable',
+                        headers: new Headers({
+                            'Content-Type': 'application/json; charset=utf-8'
+                        })
+                    });
+                }
+            })()
+        );
+        return;
+    }
+    
     // その他のリソース（CSS、JS等）
     event.respondWith(
         (async () => {
@@ -192,46 +355,204 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
-// バックグラウンド同期（将来の実装用）
+// バックグラウンド同期（オフライン時に保存したフォームの再送）
 self.addEventListener('sync', (event) => {
-    if (event.tag === 'sync-forms') {
+    if (event.tag === FormQueue.SYNC_TAG) {
         event.waitUntil(syncFormData());
     }
 });
 
-// プッシュ通知（将来の実装用）
+// プッシュ通知（server/push.js・scripts/send-push.js から {title, body, url, tag} が届く）
 self.addEventListener('push', (event) => {
-    if (event.data) {
-        const data = event.data.json();
-        const options = {
-            body: data.body,
-            icon: '/images/icons/web-app-manifest-192x192.png',
-            badge: '/images/icons/favicon-96x96.png',
-            vibrate: [200, 100, 200],
-            data: {
-                dateOfArrival: Date.now(),
-                primaryKey: '1'
-            }
-        };
-        
-        event.waitUntil(
-            self.registration.showNotification(data.title, options)
-        );
+    if (!event.data) return;
+    
+    let data;
+    try {
+        data = event.data.json();
+    } catch (error) {
+        // JSONでない場合は本文として表示（開発者ツールからのテスト送信など）
+        data = { body: event.data.text() };
     }
+    
+    const options = {
+        body: data.body,
+        icon: '/images/icons/web-app-manifest-192x192.png',
+        badge: '/images/icons/favicon-96x96.png',
+        vibrate: [200, 100, 200],
+        data: {
+            dateOfArrival: Date.now(),
+            url: data.url || '/'
+        }
+    };
+    
+    // 同じタグの通知は置き換え、改めて知らせる
+    if (data.tag) {
+        options.tag = data.tag;
+        options.renotify = true;
+    }
+    
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'Café Serenity', options)
+    );
 });
 
-// 通知クリックイベント
+// 通知クリックイベント（通知のURLを開いているタブがあれば表示し、なければ開く）
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
     
-    event.waitUntil(
-        clients.openWindow('/')
-    );
+    event.waitUntil(openNotificationUrl((event.notification.data || {}).url));
 });
 
-// フォームデータの同期（実装例）
+// インストール時のキャッシュ（プリキャッシュマニフェストと外部リソース）
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    
+    // HTTPキャッシュの古いファイルを取り込まないよう、ネットワークから取得してキャッシュ
+    await cache.addAll(PRECACHE_MANIFEST.map((entry) => new Request(entry.url, { cache: 'reload' })));
+    
+    // 外部リソースは1件ずつ保存し、取得できないものがあってもインストールは続ける
+    // （保存できなかったものは、ページが読み込んだときに実行時キャッシュで保存される）
+    const cdnCache = await caches.open(CDN_CACHE_NAME);
+    const results = await Promise.allSettled(OPTIONAL_PRECACHE_URLS.map(async (url) => {
+        if (await cdnCache.match(url)) return;
+        
+        const response = await fetch(new Request(url, { mode: 'cors' }));
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        await cdnCache.put(url, response);
+    }));
+    
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.warn('Optional precache failed:', OPTIONAL_PRECACHE_URLS[index], result.reason);
+        }
+    });
+}
+
+/**
+ * 外部リソースのリクエストに応答する
+ * CORSで取得できた成功レスポンスのみ保存する（opaque レスポンスは成否を確認できないため保存しない）
+ * @param {FetchEvent} event - フェッチイベント
+ * @param {string} strategy - 'cache-first' または 'stale-while-revalidate'
+ * @returns {Promise<Response>}
+ */
+async function handleCrossOrigin(event, strategy) {
+    const { request } = event;
+    const cache = await caches.open(CDN_CACHE_NAME);
+    const cachedResponse = await cache.match(request);
+    
+    const update = async () => {
+        const networkResponse = await fetch(request);
+        if (networkResponse.ok && networkResponse.type !== 'opaque') {
+            await cache.put(request, networkResponse.clone());
+        }
+        return networkResponse;
+    };
+    
+    if (cachedResponse) {
+        // 保存済みの内容を返し、裏で最新の内容に更新
+        if (strategy === 'stale-while-revalidate') {
+            event.waitUntil(update().catch(() => {}));
+        }
+        return cachedResponse;
+    }
+    
+    try {
+        return await update();
+    } catch (error) {
+        return new Response('', {
+            status: 503,
+            statusText: 'Service Unavailable'
+        });
+    }
+}
+
+/**
+ * 通知のリンク先を表示する
+ * 同じページのタブがあれば移動して表示し、サイトのタブがあればそのタブで開き、なければ新しいウィンドウで開く
+ * @param {string} [target] - 通知のURL（他のオリジンは開かずトップページを開く）
+ * @returns {Promise<void>}
+ */
+async function openNotificationUrl(target) {
+    let url = new URL(target || '/', location.origin);
+    if (url.origin !== location.origin) {
+        url = new URL('/', location.origin);
+    }
+    
+    const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const samePage = windowClients.find((client) => {
+        const current = new URL(client.url);
+        return current.pathname === url.pathname && current.search === url.search;
+    });
+    const client = samePage || windowClients.find((candidate) => 'navigate' in candidate);
+    
+    if (client) {
+        try {
+            // フォーカスはクリック直後にしか許可されないため、移動より先に行う
+            await client.focus();
+            
+            // ハッシュだけが異なる場合もスクロール位置を合わせるため移動する
+            if (client.url !== url.href) {
+                await client.navigate(url.href);
+            }
+            return;
+        } catch (error) {
+            // 制御外のタブは移動できないため新しいウィンドウで開く
+        }
+    }
+    
+    await clients.openWindow(url.href);
+}
+
+/**
+ * 保存済みのページ（HTML）の一覧
+ * オフラインページ・404ページは除く
+ * @returns {Promise<Array<{url: string, cachedAt: string|null}>>}
+ */
+async function listCachedPages() {
+    const cache = await caches.open(CACHE_NAME);
+    const requests = (await cache.keys()).filter((request) => {
+        const { origin, pathname } = new URL(request.url);
+        return origin === location.origin
+            && (pathname === '/' || pathname.endsWith('.html'))
+            && pathname !== OFFLINE_URL
+            && pathname !== '/404.html';
+    });
+    
+    const pages = await Promise.all(requests.map(async (request) => (
+        describePage(request.url, await cache.match(request))
+    )));
+    return pages.sort((a, b) => a.url.localeCompare(b.url));
+}
+
+/**
+ * 保存済みのページの情報
+ * @param {string} url - ページのURL
+ * @param {Response} response - 保存されているレスポンス
+ * @returns {{url: string, cachedAt: string|null}} cachedAt はサーバーが返した日時
+ */
+function describePage(url, response) {
+    return {
+        url,
+        cachedAt: response.headers.get('Date')
+    };
+}
+
+// フォームデータの同期
 async function syncFormData() {
-    // IndexedDBからペンディングのフォームデータを取得して送信
-    // この機能は実際のバックエンドAPIに合わせて実装する必要があります
-    console.log('Syncing form data...');
+    // IndexedDBに保存された送信内容を再送し、結果を開いているページへ通知
+    const result = await FormQueue.flush();
+    
+    if (result.sent || result.rejected) {
+        const windowClients = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+        windowClients.forEach((client) => {
+            client.postMessage({ type: 'FORM_SYNC_RESULT', ...result });
+        });
+    }
+    
+    // 未送信分が残っている場合は失敗として扱い、ブラウザに再試行させる
+    if (result.pending) {
+        throw new Error(`${result.pending} form submission(s) still pending`);
+    }
 }
@@ -0,0 +1,227 @@
+/**
+ * Café Serenity - 画像キャッシュ（js/image-cache.js）のテスト
+ * Cache Storage・fetch・現在時刻を差し替えて、件数・期限の上限と stale-while-revalidate を確認する
+ *
+ * 使い方: node --test test/
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ImageCache = require('../js/image-cache');
+
+const ORIGIN = 'https://cafe-serenity.example';
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * メモリ上の Cache（URLをキーに保存する。match・put・delete・keys のみ）
+ */
+class MemoryCache {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async match(request) {
+        const response = this.entries.get(toUrl(request));
+        return response ? response.clone() : undefined;
+    }
+
+    async put(request, response) {
+        this.entries.set(toUrl(request), response);
+    }
+
+    async delete(request) {
+        return this.entries.delete(toUrl(request));
+    }
+
+    async keys() {
+        return [...this.entries.keys()].map(url => ({ url }));
+    }
+}
+
+/**
+ * メモリ上の CacheStorage
+ */
+class MemoryCacheStorage {
+    constructor() {
+        this.caches = new Map();
+    }
+
+    async open(name) {
+        if (!this.caches.has(name)) {
+            this.caches.set(name, new MemoryCache());
+        }
+        return this.caches.get(name);
+    }
+
+    async delete(name) {
+        return this.caches.delete(name);
+    }
+}
+
+function toUrl(request) {
+    return typeof request === 'string' ? request : request.url;
+}
+
+function imageRequest(name) {
+    return new Request(`${ORIGIN}/images/${name}`);
+}
+
+function imageResponse(body = 'image') {
+    return new Response(body, { headers: { 'Content-Type': 'image/webp' } });
+}
+
+/**
+ * テスト用の ImageCache（現在時刻は clock.time で進める）
+ * @param {Object} [options] - ImageCache のオプション
+ * @returns {{imageCache: ImageCache, cacheStorage: MemoryCacheStorage, clock: {time: number}, fetched: Array<string>}}
+ */
+function createImageCache(options = {}) {
+    const cacheStorage = new MemoryCacheStorage();
+    const clock = { time: 0 };
+    const fetched = [];
+    const imageCache = new ImageCache({
+        cacheName: 'images-test',
+        maxEntries: 3,
+        maxAgeSeconds: 7 * 24 * 60 * 60,
+        cacheStorage,
+        fetch: async request => {
+            fetched.push(request.url);
+            return imageResponse(`network:${request.url}`);
+        },
+        now: () => clock.time,
+        ...options
+    });
+
+    return { imageCache, cacheStorage, clock, fetched };
+}
+
+async function cachedUrls(cacheStorage) {
+    const cache = await cacheStorage.open('images-test');
+    return (await cache.keys())
+        .map(({ url }) => url)
+        .filter(url => url.startsWith(ORIGIN))
+        .sort();
+}
+
+/**
+ * handle に渡すフェッチイベント（waitUntil に渡された処理を待てるようにする）
+ */
+function fetchEvent(request) {
+    const tasks = [];
+    return {
+        request,
+        waitUntil: promise => tasks.push(promise),
+        settled: () => Promise.all(tasks)
+    };
+}
+
+test('最大件数を超えたら最後に使われた日時が古い画像から削除する', async () => {
+    const { imageCache, cacheStorage, clock } = createImageCache();
+
+    for (const name of ['a.webp', 'b.webp', 'c.webp']) {
+        clock.time += 1000;
+        await imageCache.put(imageRequest(name), imageResponse());
+    }
+
+    // a を最後に使った画像にする
+    clock.time += 1000;
+    await imageCache.touch(imageRequest('a.webp').url);
+
+    clock.time += 1000;
+    await imageCache.put(imageRequest('d.webp'), imageResponse());
+
+    assert.deepEqual(await cachedUrls(cacheStorage), [
+        imageRequest('a.webp').url,
+        imageRequest('c.webp').url,
+        imageRequest('d.webp').url
+    ]);
+});
+
+test('保存期間を過ぎた画像を削除する', async () => {
+    const { imageCache, cacheStorage, clock } = createImageCache();
+
+    await imageCache.put(imageRequest('old.webp'), imageResponse());
+    clock.time += 6 * DAY;
+    await imageCache.put(imageRequest('new.webp'), imageResponse());
+
+    clock.time += 2 * DAY;
+    assert.equal(await imageCache.enforceLimits(), 1);
+    assert.deepEqual(await cachedUrls(cacheStorage), [imageRequest('new.webp').url]);
+});
+
+test('保存期間を過ぎた画像はネットワークから取得し直す', async () => {
+    const { imageCache, clock, fetched } = createImageCache();
+    const request = imageRequest('hero.webp');
+
+    await imageCache.put(request, imageResponse('cached'));
+    clock.time += 8 * DAY;
+
+    const response = await imageCache.handle(fetchEvent(request));
+    assert.equal(await response.text(), `network:${request.url}`);
+    assert.deepEqual(fetched, [request.url]);
+});
+
+test('opaque レスポンスと画像以外のレスポンスは保存しない', async () => {
+    const opaque = { ok: false, status: 0, type: 'opaque', headers: new Headers() };
+    const html = new Response('<p>Not found</p>', { headers: { 'Content-Type': 'text/html' } });
+    const responses = [opaque, html];
+    const { imageCache, cacheStorage } = createImageCache({
+        fetch: async () => responses.shift()
+    });
+
+    assert.equal(ImageCache.isCacheable(opaque), false);
+    assert.equal(ImageCache.isCacheable(html), false);
+    assert.equal(ImageCache.isCacheable(imageResponse()), true);
+
+    await imageCache.handle(fetchEvent(imageRequest('cross-origin.webp')));
+    await imageCache.handle(fetchEvent(imageRequest('missing.webp')));
+
+    assert.deepEqual(await cachedUrls(cacheStorage), []);
+});
+
+test('保存済みの画像をすぐに返し、裏で取得し直して更新する（stale-while-revalidate）', async () => {
+    const { imageCache, clock, fetched } = createImageCache();
+    const request = imageRequest('gallery.webp');
+
+    await imageCache.put(request, imageResponse('cached'));
+    clock.time += DAY;
+
+    const event = fetchEvent(request);
+    const response = await imageCache.handle(event);
+    assert.equal(await response.text(), 'cached');
+
+    await event.settled();
+    assert.deepEqual(fetched, [request.url]);
+
+    const updated = await imageCache.handle(fetchEvent(request));
+    assert.equal(await updated.text(), `network:${request.url}`);
+});
+
+test('保存中の画像を同時に実行された enforceLimits で削除しない', async () => {
+    const { imageCache, cacheStorage } = createImageCache();
+    const cache = await cacheStorage.open('images-test');
+    const request = imageRequest('slow.webp');
+
+    // 画像は見える状態になってから、保存の完了が遅れる（大きな画像の書き込みなど）
+    let finishPut;
+    const put = cache.put.bind(cache);
+    cache.put = async (key, response) => {
+        await put(key, response);
+        if (toUrl(key) === request.url) {
+            await new Promise(resolve => {
+                finishPut = resolve;
+            });
+        }
+    };
+
+    const saving = imageCache.put(request, imageResponse());
+    await new Promise(resolve => setImmediate(resolve));
+    const enforcing = imageCache.enforceLimits();
+    await new Promise(resolve => setImmediate(resolve));
+    finishPut();
+
+    await Promise.all([saving, enforcing]);
+    assert.deepEqual(await cachedUrls(cacheStorage), [request.url]);
+});